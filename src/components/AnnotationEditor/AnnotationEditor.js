@@ -0,0 +1,98 @@
+/**
+ * AnnotationEditor - Edit the private note and highlights of one README entry
+ */
+import React, { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes } from '@fortawesome/free-solid-svg-icons';
+import annotationService from '../../services/annotationService';
+import { Modal, Button } from '../UI';
+import classes from './AnnotationEditor.module.css';
+
+const AnnotationEditor = ({ repo, entry, onClose }) => {
+  const [note, setNote] = useState('');
+  const [annotation, setAnnotation] = useState(null);
+
+  useEffect(() => {
+    if (!entry) return undefined;
+    const current = annotationService.get(repo, entry.url);
+    setNote(current ? current.note : '');
+    setAnnotation(current);
+
+    const refresh = () => setAnnotation(annotationService.get(repo, entry.url));
+    window.addEventListener('annotationsUpdated', refresh);
+    return () => window.removeEventListener('annotationsUpdated', refresh);
+  }, [repo, entry]);
+
+  if (!entry) return null;
+
+  const highlights = annotation ? annotation.highlights : [];
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    annotationService.saveNote(repo, entry, note);
+    onClose();
+  };
+
+  const handleDelete = () => {
+    if (window.confirm('Delete the note and all highlights of this entry?')) {
+      annotationService.remove(repo, entry);
+      onClose();
+    }
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title={`Notes on ${entry.name}`} size="small">
+      <form className={classes.AnnotationEditor} onSubmit={handleSave}>
+        {entry.section && <small className={classes.Section}>{entry.section}</small>}
+        <textarea
+          className={classes.Note}
+          placeholder="e.g. We evaluated this, too slow for our use case"
+          aria-label="Note"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          rows={4}
+          autoFocus
+        />
+
+        <div>
+          <h4 className={classes.Heading}>Highlights</h4>
+          {highlights.length === 0 ? (
+            <p className={classes.Hint}>Select text of this entry in the README to highlight it.</p>
+          ) : (
+            <ul className={classes.Highlights}>
+              {highlights.map(text => (
+                <li key={text}>
+                  <mark>{text}</mark>
+                  <button
+                    type="button"
+                    className={classes.RemoveHighlight}
+                    onClick={() => annotationService.removeHighlight(repo, entry, text)}
+                    title="Remove highlight"
+                  >
+                    <FontAwesomeIcon icon={faTimes} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className={classes.Actions}>
+          {annotation && (
+            <Button variant="danger" size="small" onClick={handleDelete}>
+              Delete all
+            </Button>
+          )}
+          <Button variant="ghost" size="small" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button type="submit" size="small">
+            Save note
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default AnnotationEditor;
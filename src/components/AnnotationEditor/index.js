@@ -0,0 +1 @@
+export { default as AnnotationEditor } from './AnnotationEditor';
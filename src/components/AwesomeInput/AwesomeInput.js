@@ -1,10 +1,468 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, withRouter } from 'react-router-dom';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faHome } from '@fortawesome/free-solid-svg-icons';
+import { faHome, faThumbtack, faHistory, faTimes, faStickyNote } from '@fortawesome/free-solid-svg-icons';
+import { useCollections } from '../../context/CollectionsContext';
+import searchService from '../../services/searchService';
+import { Highlight, RepoStats } from '../UI';
+import { SynonymChips } from '../SynonymChips';
 import classes from './AwesomeInput.module.css';
 
-const awesomeInput = (props) => {
+const LISTBOX_ID = 'search-listbox';
+const optionId = (idx) => `search-option-${idx}`;
+const collectionOptionId = (idx) => `search-collection-${idx}`;
+
+const openInNewTab = (url) => {
+  window.open(url, '_blank', 'noopener,noreferrer');
+};
+
+const AwesomeInput = (props) => {
+  const { state: collectionsState, addListToCollection } = useCollections();
+  const collections = collectionsState.collections;
+  const contentResult = props.contentResult || [];
+  const annotationResult = props.annotationResult || [];
+  const savedSearches = props.savedSearches || [];
+  const searchHistory = props.searchHistory || [];
+  const hasQuery = !!(props.value && props.value.trim());
+
+  // Index into the combined options (list results first, then README entries, then the user's notes)
+  const [activeIndex, setActiveIndex] = useState(-1);
+  // Collection picker shown after pressing "a" on a highlighted list
+  const [picking, setPicking] = useState(false);
+  const [pickIndex, setPickIndex] = useState(0);
+  const [status, setStatus] = useState('');
+
+  // With an empty input the dropdown offers pinned and recent searches instead
+  const options = hasQuery ? [
+    ...props.searchResult.map(el => ({ kind: 'list', item: el.item })),
+    ...contentResult.map(el => ({ kind: 'entry', item: el.item })),
+    ...annotationResult.map(el => ({ kind: 'note', item: el.item })),
+  ] : [
+    ...savedSearches.map(item => ({ kind: 'saved', item })),
+    ...searchHistory.map(item => ({ kind: 'history', item })),
+  ];
+  const activeOption = activeIndex >= 0 ? options[activeIndex] : null;
+
+  // A new result set invalidates the highlighted option
+  useEffect(() => {
+    setActiveIndex(-1);
+    setPicking(false);
+  }, [props.searchResult, props.contentResult, props.annotationResult]);
+
+  useEffect(() => {
+    const id = picking ? collectionOptionId(pickIndex) : optionId(activeIndex);
+    const el = document.getElementById(id);
+    if (el) el.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex, pickIndex, picking]);
+
+  useEffect(() => {
+    if (!status) return;
+    const t = setTimeout(() => setStatus(''), 2000);
+    return () => clearTimeout(t);
+  }, [status]);
+
+  const close = () => {
+    setActiveIndex(-1);
+    setPicking(false);
+    props.searchInputOnClose();
+  };
+
+  const openOption = (option, onGithub) => {
+    const { item } = option;
+    if (option.kind === 'saved' || option.kind === 'history') {
+      props.onApplySearch(item.query);
+      return;
+    }
+    if (option.kind === 'entry') {
+      openInNewTab(onGithub ? `https://github.com/${item.repo}` : item.url);
+    } else if (option.kind === 'note') {
+      if (onGithub) {
+        openInNewTab(item.url);
+      } else {
+        props.history.push(item.anchor ? `/${item.repo}/section/${encodeURIComponent(item.anchor)}` : `/${item.repo}`);
+      }
+    } else if (onGithub) {
+      openInNewTab(`https://github.com/${item.repo}`);
+    } else {
+      props.history.push(`/${item.repo}`);
+    }
+    close();
+  };
+
+  const openAllResults = () => {
+    props.history.push(searchService.buildResultsPath({ q: props.value.trim(), sort: props.ranking }));
+    close();
+  };
+
+  const addToCollection = (collection) => {
+    const { item } = activeOption;
+    addListToCollection(collection.id, {
+      repo: item.repo,
+      name: item.name,
+      cate: item.cate,
+    });
+    setStatus(`Added ${item.name} to ${collection.name}`);
+    setPicking(false);
+  };
+
+  const pickerKeyDownHandler = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setPickIndex(i => Math.min(i + 1, collections.length - 1));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setPickIndex(i => Math.max(i - 1, 0));
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (collections[pickIndex]) addToCollection(collections[pickIndex]);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        setPicking(false);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const keyDownHandler = (e) => {
+    if (picking) {
+      pickerKeyDownHandler(e);
+      return;
+    }
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (!props.showResult) props.searchInputOnFocus();
+        setActiveIndex(i => Math.min(i + 1, options.length - 1));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(i => Math.max(i - 1, -1));
+        break;
+      case 'Enter':
+        if (activeOption) {
+          e.preventDefault();
+          openOption(activeOption, e.ctrlKey || e.metaKey);
+        } else if (hasQuery) {
+          e.preventDefault();
+          openAllResults();
+        }
+        break;
+      case 'Escape':
+        e.preventDefault();
+        close();
+        break;
+      case 'a':
+        // Only a shortcut while navigating results; otherwise it's just typing
+        if (activeOption && activeOption.kind === 'list' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          e.preventDefault();
+          if (collections.length === 0) {
+            setStatus('Create a collection first to add lists to it');
+          } else {
+            setPickIndex(0);
+            setPicking(true);
+          }
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  let activeDescendant;
+  if (props.showResult && picking) {
+    activeDescendant = collectionOptionId(pickIndex);
+  } else if (props.showResult && activeOption) {
+    activeDescendant = optionId(activeIndex);
+  }
+
+  const renderPicker = () => (
+    <>
+      <div className={classes.GroupTitle}>Add {activeOption.item.name} to:</div>
+      <ul role='group' aria-label={`Add ${activeOption.item.name} to collection`}>
+        {collections.map((collection, idx) => (
+          <li
+            key={collection.id}
+            id={collectionOptionId(idx)}
+            role='option'
+            aria-selected={idx === pickIndex}
+            className={idx === pickIndex ? classes.Active : ''}
+            onMouseEnter={() => setPickIndex(idx)}
+            onMouseDown={(e) => {
+              e.preventDefault();
+              addToCollection(collection);
+            }}
+          >
+            {collection.name}
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+
+  const saveSearchHandler = () => {
+    const name = window.prompt('Name this search:', props.value.trim());
+    if (name !== null) {
+      props.onSaveSearch(name, props.value);
+      setStatus('Search saved');
+    }
+  };
+
+  const renderSearchItem = (option, idx) => {
+    const { kind, item } = option;
+    const isSaved = kind === 'saved';
+    return (
+      <li
+        key={`${kind}-${isSaved ? item.id : item.query}`}
+        id={optionId(idx)}
+        role='option'
+        aria-selected={idx === activeIndex}
+        className={`${classes.SearchItem} ${idx === activeIndex ? classes.Active : ''}`}
+        onMouseEnter={() => setActiveIndex(idx)}
+        onMouseDown={(e) => {
+          e.preventDefault();
+          openOption(option);
+        }}
+      >
+        <FontAwesomeIcon icon={isSaved ? faThumbtack : faHistory} className={classes.SearchItemIcon} />
+        <span className={classes.SearchItemText}>
+          {isSaved ? item.name : item.query}
+          {isSaved && item.name !== item.query ? (
+            <span className={classes.EntrySource}> {item.query}</span>
+          ) : null}
+        </span>
+        {!isSaved ? (
+          <button
+            className={classes.ItemAction}
+            title='Pin this search'
+            tabIndex={-1}
+            onMouseDown={(e) => {
+              e.preventDefault();
+              e.stopPropagation();
+              props.onSaveSearch(item.query, item.query);
+            }}
+          >
+            <FontAwesomeIcon icon={faThumbtack} />
+          </button>
+        ) : null}
+        <button
+          className={classes.ItemAction}
+          title={isSaved ? 'Remove saved search' : 'Remove from history'}
+          tabIndex={-1}
+          onMouseDown={(e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (isSaved) {
+              props.onRemoveSavedSearch(item.id);
+            } else {
+              props.onRemoveHistory(item.query);
+            }
+          }}
+        >
+          <FontAwesomeIcon icon={faTimes} />
+        </button>
+      </li>
+    );
+  };
+
+  const renderSearches = () => (
+    <>
+      {savedSearches.length > 0 ? (
+        <>
+          <div className={classes.GroupTitle}>Pinned</div>
+          <ul role='group' aria-label='Pinned searches'>
+            {options.filter(o => o.kind === 'saved').map((option, idx) => renderSearchItem(option, idx))}
+          </ul>
+        </>
+      ) : null}
+      {searchHistory.length > 0 ? (
+        <>
+          <div className={classes.GroupTitle}>Recent</div>
+          <ul role='group' aria-label='Recent searches'>
+            {options
+              .filter(o => o.kind === 'history')
+              .map((option, idx) => renderSearchItem(option, savedSearches.length + idx))}
+          </ul>
+        </>
+      ) : null}
+      {options.length === 0 ? renderHelp('Please input something :)') : null}
+    </>
+  );
+
+  const renderHelp = (message) => (
+    <span>
+      {message}
+      <span className={classes.SearchHelp}>
+        Try <code>cate:"Back-End Development"</code>, <code>repo:sindresorhus/*</code>,{' '}
+        <code>-word</code>, <code>"exact phrase"</code> or <code>vue OR react</code>
+      </span>
+    </span>
+  );
+
+  // Snippet of the description and which fields matched, e.g. "matched in description"
+  const renderMatchDetails = (el, snippetKeys) => {
+    const fields = searchService.getMatchedFields(el.matches);
+    const repoIndices = searchService.getMatchIndices(el.matches, 'repo');
+    return (
+      <>
+        {snippetKeys.includes('repo') && repoIndices.length > 0 ? (
+          <div className={classes.EntrySource}>
+            <Highlight text={el.item.repo} indices={repoIndices} />
+          </div>
+        ) : null}
+        {snippetKeys.includes('description') && el.item.description ? (
+          <div className={classes.Snippet}>
+            <Highlight
+              text={el.item.description}
+              indices={searchService.getMatchIndices(el.matches, 'description')}
+              maxLength={90}
+            />
+          </div>
+        ) : null}
+        {fields.length > 0 && !fields.includes('name') ? (
+          <div className={classes.MatchedIn}>matched in {fields.join(', ')}</div>
+        ) : null}
+      </>
+    );
+  };
+
+  const renderRanking = () => (
+    <div className={classes.Ranking} role='radiogroup' aria-label='Rank results by'>
+      <span className={classes.GroupTitle}>Rank by</span>
+      {searchService.getRankingModes().map(mode => (
+        <button
+          key={mode.value}
+          role='radio'
+          aria-checked={props.ranking === mode.value}
+          className={props.ranking === mode.value ? classes.RankingActive : ''}
+          tabIndex={-1}
+          onMouseDown={(e) => {
+            e.preventDefault();
+            props.onRankingChange(mode.value);
+          }}
+        >
+          {mode.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const renderResults = () => (
+    <>
+      {props.onRankingChange && props.searchResult.length > 1 ? renderRanking() : null}
+      <ul role='group' aria-label='Lists'>
+        {options.length === 0 ? renderHelp('No lists found :(') : null}
+        {props.searchResult.map((el, idx) => {
+          return (
+            <li
+              key={el.item.name + idx}
+              id={optionId(idx)}
+              role='option'
+              aria-selected={idx === activeIndex}
+              className={idx === activeIndex ? classes.Active : ''}
+              onMouseEnter={() => setActiveIndex(idx)}
+            >
+              <Highlight text={el.item.cate} indices={searchService.getMatchIndices(el.matches, 'cate')} />/
+              <Link to={`/${el.item.repo}`} tabIndex={-1}>
+                <Highlight text={el.item.name} indices={searchService.getMatchIndices(el.matches, 'name')} />
+              </Link>
+              <RepoStats stats={el.stats} />
+              {renderMatchDetails(el, ['repo', 'description'])}
+            </li>
+          );
+        })}
+      </ul>
+      {contentResult.length > 0 ? (
+        <div className={classes.ContentResult}>
+          <div className={classes.GroupTitle}>Inside lists</div>
+          <ul role='group' aria-label='Inside lists'>
+            {contentResult.map((el, idx) => {
+              const globalIdx = props.searchResult.length + idx;
+              return (
+                <li
+                  key={el.item.repo + el.item.url + idx}
+                  id={optionId(globalIdx)}
+                  role='option'
+                  aria-selected={globalIdx === activeIndex}
+                  className={globalIdx === activeIndex ? classes.Active : ''}
+                  onMouseEnter={() => setActiveIndex(globalIdx)}
+                >
+                  <a href={el.item.url} target='_blank' rel='noopener noreferrer' tabIndex={-1}>
+                    <Highlight text={el.item.name} indices={searchService.getMatchIndices(el.matches, 'name')} />
+                  </a>
+                  <div className={classes.EntrySource}>
+                    <Link to={`/${el.item.repo}`} tabIndex={-1}>{el.item.repo}</Link>
+                    {el.item.section ? (
+                      <>
+                        {' › '}
+                        <Highlight text={el.item.section} indices={searchService.getMatchIndices(el.matches, 'section')} />
+                      </>
+                    ) : null}
+                  </div>
+                  {renderMatchDetails(el, ['description'])}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      ) : null}
+      {annotationResult.length > 0 ? (
+        <div className={classes.ContentResult}>
+          <div className={classes.GroupTitle}>Your notes</div>
+          <ul role='group' aria-label='Your notes'>
+            {annotationResult.map((el, idx) => {
+              const globalIdx = props.searchResult.length + contentResult.length + idx;
+              return (
+                <li
+                  key={el.item.repo + el.item.url}
+                  id={optionId(globalIdx)}
+                  role='option'
+                  aria-selected={globalIdx === activeIndex}
+                  className={globalIdx === activeIndex ? classes.Active : ''}
+                  onMouseEnter={() => setActiveIndex(globalIdx)}
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    openOption(options[globalIdx]);
+                  }}
+                >
+                  <FontAwesomeIcon icon={faStickyNote} className={classes.SearchItemIcon} />
+                  <Highlight text={el.item.name} indices={searchService.getMatchIndices(el.matches, 'name')} />
+                  <div className={classes.EntrySource}>
+                    {el.item.repo}
+                    {el.item.section ? ` › ${el.item.section}` : null}
+                  </div>
+                  {el.item.note ? (
+                    <div className={classes.Snippet}>
+                      <Highlight
+                        text={el.item.note}
+                        indices={searchService.getMatchIndices(el.matches, 'note')}
+                        maxLength={90}
+                      />
+                    </div>
+                  ) : null}
+                  {el.item.highlights ? (
+                    <div className={classes.Snippet}>
+                      <Highlight
+                        text={el.item.highlights}
+                        indices={searchService.getMatchIndices(el.matches, 'highlights')}
+                        maxLength={90}
+                      />
+                    </div>
+                  ) : null}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      ) : null}
+    </>
+  );
+
   return (
     <div className={classes.AwesomeInput}>
       <fieldset className='form-group'>
@@ -29,25 +487,45 @@ const awesomeInput = (props) => {
           type='text'
           placeholder='Try To Search Node.js'
           className='form-control'
+          role='combobox'
+          autoComplete='off'
+          aria-autocomplete='list'
+          aria-expanded={!!props.showResult}
+          aria-controls={LISTBOX_ID}
+          aria-activedescendant={activeDescendant}
           onChange={props.searchOnchange}
+          onKeyDown={keyDownHandler}
           value={props.value}
           onFocus={props.searchInputOnFocus}
         ></input>
+        {hasQuery ? (
+          <SynonymChips expansions={props.synonymExpansions} onRemove={props.onRemoveSynonym} />
+        ) : null}
+        <div className={classes.Status} role='status' aria-live='polite'>
+          {status}
+        </div>
         {props.showResult ? (
-          <div className={classes.SearchResult}>
-            <ul>
-              {props.searchResult.length === 0 ? (
-                <span>Please input something :)</span>
-              ) : null}
-              {props.searchResult.map((el, idx) => {
-                return (
-                  <li key={el.item.name + idx}>
-                    {el.item.cate}/
-                    <Link to={`/${el.item.repo}`}>{el.item.name}</Link>
-                  </li>
-                );
-              })}
-            </ul>
+          <div className={classes.SearchResult} id={LISTBOX_ID} role='listbox' aria-label='Search results'>
+            {picking && activeOption ? renderPicker() : null}
+            {!picking && hasQuery ? renderResults() : null}
+            {!picking && !hasQuery ? renderSearches() : null}
+            {hasQuery && !picking ? (
+              <div className={classes.ResultActions}>
+                <button className={classes.SaveSearch} onClick={openAllResults}>
+                  See all results
+                </button>
+                <button className={classes.SaveSearch} onClick={saveSearchHandler}>
+                  <FontAwesomeIcon icon={faThumbtack} /> Save this search
+                </button>
+              </div>
+            ) : null}
+            {options.length > 0 ? (
+              <div className={classes.KeyboardHint}>
+                {hasQuery
+                  ? '↑↓ select · Enter open (all results if none selected) · Ctrl+Enter GitHub · a add to collection · Esc close'
+                  : '↑↓ select · Enter search · Esc close'}
+              </div>
+            ) : null}
           </div>
         ) : null}
       </fieldset>
@@ -55,4 +533,4 @@ const awesomeInput = (props) => {
   );
 };
 
-export default withRouter(awesomeInput);
+export default withRouter(AwesomeInput);
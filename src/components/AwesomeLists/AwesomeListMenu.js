@@ -1,10 +1,14 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import classes from './AwesomeListMenu.module.css';
+import { NewBadge } from '../UI';
 
-const awesomeListMenu = ({ topics, topicOnClickHandler }) => {
+const awesomeListMenu = ({ topics, topicOnClickHandler, newCounts = {} }) => {
   return (
     <div className={`menu ${classes.AwesomeListMenu}`}>
+      <Link className="menu-item" to="/-/categories">
+        <strong>Browse all categories</strong>
+      </Link>
       {topics.map((topic) => {
         return (
           <Link
@@ -16,6 +20,7 @@ const awesomeListMenu = ({ topics, topicOnClickHandler }) => {
             }}
           >
             {topic}
+            <NewBadge count={newCounts[topic]} />
           </Link>
         );
       })}
@@ -2,8 +2,9 @@ import React from 'react';
 import classes from './AwesomeLists.module.css';
 import { Link } from 'react-router-dom';
 import Homepage from '../AwesomeHome/AwesomeHome';
+import { NewBadge } from '../UI';
 
-const awesomeLists = ({ topic, subjects }) => {
+const awesomeLists = ({ topic, subjects, listChanges = {} }) => {
   if (topic === '') {
     return <Homepage />;
   }
@@ -39,6 +40,7 @@ const awesomeLists = ({ topic, subjects }) => {
             to={`/${subject.repo}`}
           >
             {subject.name}
+            <NewBadge count={listChanges[subject.repo] && listChanges[subject.repo].added} />
           </Link>
         );
       })}
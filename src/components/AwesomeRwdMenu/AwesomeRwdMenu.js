@@ -1,10 +1,14 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import classes from './AwesomeRwdMenu.module.css';
+import { NewBadge } from '../UI';
 
-const AwesomeRwdMenu = ({ topics, topicOnClickHandler }) => {
+const AwesomeRwdMenu = ({ topics, topicOnClickHandler, newCounts = {} }) => {
   return (
     <div className={`menu ${classes.AwesomeRwdMenu}`}>
+      <Link className="menu-item" to="/-/categories" onClick={() => topicOnClickHandler('')}>
+        <strong>Browse all categories</strong>
+      </Link>
       {topics.map((topic) => {
         return (
           <Link
@@ -16,6 +20,7 @@ const AwesomeRwdMenu = ({ topics, topicOnClickHandler }) => {
             }}
           >
             {topic}
+            <NewBadge count={newCounts[topic]} />
           </Link>
         );
       })}
@@ -0,0 +1,88 @@
+/**
+ * AddEntryModal - Save a single README entry into one of the user's collections
+ */
+import React, { useState, useEffect } from 'react';
+import { useCollections } from '../../context/CollectionsContext';
+import { Modal, Button } from '../UI';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCheck, faPlus } from '@fortawesome/free-solid-svg-icons';
+import classes from './AddEntryModal.module.css';
+
+const AddEntryModal = ({ entry, onClose }) => {
+  const { state, addCollection, addEntryToCollection, isEntryInCollection } = useCollections();
+  const [newName, setNewName] = useState('');
+
+  useEffect(() => {
+    setNewName('');
+  }, [entry]);
+
+  if (!entry) return null;
+
+  const handleAdd = (collection) => {
+    addEntryToCollection(collection.id, entry);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    const collection = addCollection({ name: newName });
+    addEntryToCollection(collection.id, entry);
+    setNewName('');
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title="Add to collection" size="small">
+      <div className={classes.AddEntryModal}>
+        <div className={classes.Entry}>
+          <a href={entry.url} target="_blank" rel="noopener noreferrer">{entry.title}</a>
+          {entry.description && <p>{entry.description}</p>}
+          <small>
+            from {entry.source}
+            {entry.section && ` › ${entry.section}`}
+          </small>
+        </div>
+
+        {state.collections.length === 0 ? (
+          <p className={classes.Empty}>You have no collections yet. Create one below.</p>
+        ) : (
+          <ul className={classes.Collections}>
+            {state.collections.map((collection) => {
+              const added = isEntryInCollection(collection.id, entry.url);
+              return (
+                <li key={collection.id}>
+                  <span className={classes.Color} style={{ background: collection.color }} />
+                  <span className={classes.Name}>{collection.name}</span>
+                  <Button
+                    variant="ghost"
+                    size="small"
+                    icon={<FontAwesomeIcon icon={added ? faCheck : faPlus} />}
+                    onClick={() => handleAdd(collection)}
+                    disabled={added}
+                  >
+                    {added ? 'Added' : 'Add'}
+                  </Button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        <form className={classes.NewCollection} onSubmit={handleCreate}>
+          <input
+            type="text"
+            placeholder="New collection name"
+            aria-label="New collection name"
+            value={newName}
+            maxLength={100}
+            onChange={(e) => setNewName(e.target.value)}
+          />
+          <Button type="submit" size="small" disabled={!newName.trim()}>
+            Create and add
+          </Button>
+        </form>
+      </div>
+    </Modal>
+  );
+};
+
+export default AddEntryModal;
@@ -8,9 +8,11 @@ import {
   faTrash, 
   faEye, 
   faFileExport,
-  faList 
+  faList,
+  faLink
 } from '@fortawesome/free-solid-svg-icons';
 import { Card } from '../UI';
+import { getItemKey, isEntryItem } from '../../models/Collection';
 import classes from './CollectionCard.module.css';
 
 const CollectionCard = ({ 
@@ -21,6 +23,8 @@ const CollectionCard = ({
   onExport 
 }) => {
   const { name, description, lists, color, createdAt, updatedAt } = collection;
+  const entryCount = lists.filter(isEntryItem).length;
+  const listCount = lists.length - entryCount;
   
   const formatDate = (dateStr) => {
     const date = new Date(dateStr);
@@ -77,15 +81,21 @@ const CollectionCard = ({
       <div className={classes.Stats}>
         <div className={classes.Stat}>
           <FontAwesomeIcon icon={faList} className={classes.StatIcon} />
-          <span>{lists.length} {lists.length === 1 ? 'list' : 'lists'}</span>
+          <span>{listCount} {listCount === 1 ? 'list' : 'lists'}</span>
         </div>
+        {entryCount > 0 && (
+          <div className={classes.Stat}>
+            <FontAwesomeIcon icon={faLink} className={classes.StatIcon} />
+            <span>{entryCount} {entryCount === 1 ? 'entry' : 'entries'}</span>
+          </div>
+        )}
       </div>
       
       {lists.length > 0 && (
         <div className={classes.Preview}>
-          {lists.slice(0, 3).map((list, idx) => (
-            <span key={list.repo || idx} className={classes.PreviewItem}>
-              {list.name}
+          {lists.slice(0, 3).map((item, idx) => (
+            <span key={getItemKey(item) || idx} className={classes.PreviewItem}>
+              {isEntryItem(item) ? item.title : item.name}
             </span>
           ))}
           {lists.length > 3 && (
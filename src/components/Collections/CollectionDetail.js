@@ -1,9 +1,10 @@
 /**
- * CollectionDetail - Detail view for a collection showing all lists
+ * CollectionDetail - Detail view for a collection showing all lists and saved README entries
  */
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useCollections } from '../../context/CollectionsContext';
+import { isEntryItem } from '../../models/Collection';
 import { Button } from '../UI';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { 
@@ -33,10 +34,19 @@ const CollectionDetail = ({ collection, subjectsArray = [], onClose }) => {
     });
   };
 
+  const handleRemoveEntry = (url) => {
+    if (window.confirm('Remove this entry from the collection?')) {
+      removeListFromCollection(collection.id, url);
+    }
+  };
+
   const isListInCollection = (repo) => {
     return collection.lists.some(l => l.repo === repo);
   };
 
+  const lists = collection.lists.filter(item => !isEntryItem(item));
+  const entries = collection.lists.filter(isEntryItem);
+
   // Filter available lists for adding
   const availableLists = subjectsArray.filter(list => 
     !isListInCollection(list.repo) &&
@@ -51,7 +61,11 @@ const CollectionDetail = ({ collection, subjectsArray = [], onClose }) => {
       )}
 
       <div className={classes.Stats}>
-        <span>{collection.lists.length} lists in this collection</span>
+        <span>
+          {lists.length} lists
+          {entries.length > 0 && ` and ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`}
+          {' '}in this collection
+        </span>
       </div>
 
       <div className={classes.Section}>
@@ -108,14 +122,14 @@ const CollectionDetail = ({ collection, subjectsArray = [], onClose }) => {
           </div>
         )}
 
-        {collection.lists.length === 0 ? (
+        {lists.length === 0 ? (
           <div className={classes.EmptyLists}>
             <p>No lists in this collection yet.</p>
             <p>Click "Add Lists" above to start adding awesome-lists!</p>
           </div>
         ) : (
           <div className={classes.ListsGrid}>
-            {collection.lists.map(list => (
+            {lists.map(list => (
               <div key={list.repo} className={classes.ListItem}>
                 <div className={classes.ListInfo}>
                   <Link 
@@ -150,6 +164,51 @@ const CollectionDetail = ({ collection, subjectsArray = [], onClose }) => {
           </div>
         )}
       </div>
+
+      {entries.length > 0 && (
+        <div className={classes.Section}>
+          <div className={classes.SectionHeader}>
+            <h3>Entries</h3>
+          </div>
+          <div className={classes.ListsGrid}>
+            {entries.map(entry => (
+              <div key={entry.url} className={classes.ListItem}>
+                <div className={classes.ListInfo}>
+                  <a
+                    href={entry.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className={classes.ListName}
+                  >
+                    {entry.title}
+                  </a>
+                  {entry.description && (
+                    <span className={classes.EntryDescription}>{entry.description}</span>
+                  )}
+                  {entry.source && (
+                    <span className={classes.ListCategory}>
+                      from{' '}
+                      <Link to={`/${entry.source}`} className={classes.EntrySource} onClick={onClose}>
+                        {entry.source}
+                      </Link>
+                      {entry.section && ` › ${entry.section}`}
+                    </span>
+                  )}
+                </div>
+                <div className={classes.ListActions}>
+                  <button
+                    className={classes.RemoveButton}
+                    onClick={() => handleRemoveEntry(entry.url)}
+                    title="Remove from collection"
+                  >
+                    <FontAwesomeIcon icon={faTrash} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -5,3 +5,4 @@ export { default as CollectionManager } from './CollectionManager';
 export { default as CollectionCard } from './CollectionCard';
 export { default as CollectionForm } from './CollectionForm';
 export { default as CollectionDetail } from './CollectionDetail';
+export { default as AddEntryModal } from './AddEntryModal';
@@ -0,0 +1,204 @@
+/**
+ * EntryTable - Every entry of a README as a sortable, filterable table
+ * Rows come from readmeParser records; GitHub stars are read from the repo stats cache
+ * and only fetched on request, since a large list would exhaust the API rate limit.
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import githubService from '../../services/githubService';
+import repoStatsService from '../../services/repoStatsService';
+import classes from './EntryTable.module.css';
+
+const PAGE_SIZE = 100;
+const STARS_PER_REQUEST = 25;
+
+const COLUMNS = [
+  { key: 'name', label: 'Name', filter: 'text' },
+  { key: 'section', label: 'Section' },
+  { key: 'description', label: 'Description', filter: 'text' },
+  { key: 'domain', label: 'Domain', filter: 'text' },
+  { key: 'stars', label: 'Stars', filter: 'min' },
+];
+
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+};
+
+const formatStars = (stars) => (stars === null ? '' : stars.toLocaleString());
+
+const compareRows = (key, dir) => (a, b) => {
+  if (key === 'stars') {
+    // Unknown star counts always sort last
+    if (a.stars === null || b.stars === null) return (a.stars === null) - (b.stars === null);
+    return (a.stars - b.stars) * dir;
+  }
+  return a[key].localeCompare(b[key], undefined, { sensitivity: 'base' }) * dir;
+};
+
+const EntryTable = ({ entries = [] }) => {
+  const [sort, setSort] = useState({ key: null, dir: 1 });
+  const [filters, setFilters] = useState({ name: '', description: '', domain: '', stars: '' });
+  const [section, setSection] = useState('');
+  const [visible, setVisible] = useState(PAGE_SIZE);
+  const [statsVersion, setStatsVersion] = useState(0);
+  const [loadingStars, setLoadingStars] = useState(false);
+
+  useEffect(() => {
+    const refresh = () => setStatsVersion(v => v + 1);
+    window.addEventListener('repoStatsUpdated', refresh);
+    return () => window.removeEventListener('repoStatsUpdated', refresh);
+  }, []);
+
+  const rows = useMemo(() => {
+    const stats = repoStatsService.getAll();
+    return entries.map((entry, idx) => {
+      const repo = githubService.parseRepoUrl(entry.url);
+      return {
+        ...entry,
+        id: idx,
+        domain: getDomain(entry.url),
+        repo,
+        stars: repo && stats[repo] ? stats[repo].stars : null,
+      };
+    });
+    // statsVersion re-reads the stats cache after new stars arrive
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [entries, statsVersion]);
+
+  // Section facet counts, in README order
+  const sections = useMemo(() => {
+    const counts = new Map();
+    rows.forEach(row => counts.set(row.section, (counts.get(row.section) || 0) + 1));
+    return Array.from(counts.entries());
+  }, [rows]);
+
+  const filtered = useMemo(() => {
+    const minStars = parseInt(filters.stars, 10);
+    const result = rows.filter((row) => {
+      if (section && row.section !== section) return false;
+      if (!Number.isNaN(minStars) && (row.stars === null || row.stars < minStars)) return false;
+      return ['name', 'description', 'domain'].every(key => (
+        !filters[key] || row[key].toLowerCase().includes(filters[key].trim().toLowerCase())
+      ));
+    });
+    return sort.key ? result.sort(compareRows(sort.key, sort.dir)) : result;
+  }, [rows, filters, section, sort]);
+
+  // A new filter or sort starts from the first page again
+  useEffect(() => {
+    setVisible(PAGE_SIZE);
+  }, [filters, section, sort]);
+
+  const shown = filtered.slice(0, visible);
+  const missingStars = shown.filter(row => row.repo && row.stars === null).map(row => row.repo);
+  const repoCount = rows.filter(row => row.repo).length;
+  const starredCount = rows.filter(row => row.stars !== null).length;
+
+  const sortBy = (key) => {
+    setSort(prev => (prev.key === key ? { key, dir: -prev.dir } : { key, dir: key === 'stars' ? -1 : 1 }));
+  };
+
+  const loadStars = () => {
+    setLoadingStars(true);
+    repoStatsService
+      .fetchMissing(missingStars, { max: STARS_PER_REQUEST })
+      .finally(() => setLoadingStars(false));
+  };
+
+  return (
+    <div className={classes.EntryTable}>
+      {sections.length > 1 && (
+        <div className={classes.Facets}>
+          <button
+            className={`${classes.Facet} ${!section ? classes.Active : ''}`}
+            onClick={() => setSection('')}
+          >
+            All <span className={classes.Count}>{rows.length}</span>
+          </button>
+          {sections.map(([name, count]) => (
+            <button
+              key={name}
+              className={`${classes.Facet} ${section === name ? classes.Active : ''}`}
+              onClick={() => setSection(name)}
+            >
+              {name.split(' > ').pop() || 'Top'} <span className={classes.Count}>{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className={classes.Summary}>
+        {filtered.length} of {rows.length} entries
+        {repoCount > 0 && ` · stars known for ${starredCount} of ${repoCount} GitHub repos`}
+        {missingStars.length > 0 && (
+          <button className={classes.LoadStars} onClick={loadStars} disabled={loadingStars}>
+            {loadingStars ? 'Loading stars…' : `Load stars (${Math.min(missingStars.length, STARS_PER_REQUEST)})`}
+          </button>
+        )}
+      </div>
+
+      <table>
+        <thead>
+          <tr>
+            {COLUMNS.map(column => (
+              <th
+                key={column.key}
+                aria-sort={sort.key === column.key ? (sort.dir === 1 ? 'ascending' : 'descending') : 'none'}
+              >
+                <button className={classes.SortButton} onClick={() => sortBy(column.key)}>
+                  {column.label}
+                  {sort.key === column.key ? (sort.dir === 1 ? ' ▲' : ' ▼') : ''}
+                </button>
+              </th>
+            ))}
+          </tr>
+          <tr className={classes.FilterRow}>
+            {COLUMNS.map(column => (
+              <th key={column.key}>
+                {column.filter && (
+                  <input
+                    type={column.filter === 'min' ? 'number' : 'text'}
+                    min={column.filter === 'min' ? 0 : undefined}
+                    placeholder={column.filter === 'min' ? 'min' : 'filter'}
+                    aria-label={`Filter by ${column.label.toLowerCase()}`}
+                    value={filters[column.key]}
+                    onChange={e => setFilters(prev => ({ ...prev, [column.key]: e.target.value }))}
+                  />
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {shown.map(row => (
+            <tr key={row.id}>
+              <td>
+                <a href={row.url} target="_blank" rel="noopener noreferrer">{row.name}</a>
+              </td>
+              <td className={classes.Section}>{row.section}</td>
+              <td>{row.description}</td>
+              <td className={classes.Domain}>{row.domain}</td>
+              <td className={classes.Stars}>{formatStars(row.stars)}</td>
+            </tr>
+          ))}
+          {shown.length === 0 && (
+            <tr>
+              <td colSpan={COLUMNS.length} className={classes.Empty}>No entries match these filters.</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      {filtered.length > visible && (
+        <button className={classes.ShowMore} onClick={() => setVisible(v => v + PAGE_SIZE)}>
+          Show {Math.min(PAGE_SIZE, filtered.length - visible)} more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default EntryTable;
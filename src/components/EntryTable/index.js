@@ -0,0 +1 @@
+export { default as EntryTable } from './EntryTable';
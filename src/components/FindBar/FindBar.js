@@ -0,0 +1,143 @@
+/**
+ * FindBar - Find text inside a rendered document (the README viewer)
+ * Highlights every match in the container returned by getRoot, steps through them
+ * and reports the heading the current match is under through onMatchChange.
+ */
+import React, { useState, useEffect, useRef } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faChevronUp, faChevronDown, faTimes } from '@fortawesome/free-solid-svg-icons';
+import {
+  buildPattern,
+  clearHighlights,
+  highlightMatches,
+  findPrecedingHeading,
+} from '../../services/findService';
+import classes from './FindBar.module.css';
+
+// Long READMEs take a moment to highlight, so wait for a pause in typing
+const SEARCH_DELAY_MS = 150;
+
+const FindBar = ({ getRoot, content, onMatchChange, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [regex, setRegex] = useState(false);
+  const [matches, setMatches] = useState([]);
+  const [current, setCurrent] = useState(0);
+  const [error, setError] = useState('');
+  const [section, setSection] = useState('');
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current.focus();
+  }, []);
+
+  // Re-run when the query, options or the document itself change
+  useEffect(() => {
+    const root = getRoot();
+    const timer = setTimeout(() => {
+      if (!query) {
+        clearHighlights(root);
+        setMatches([]);
+        setError('');
+        return;
+      }
+      try {
+        setMatches(highlightMatches(root, buildPattern(query, { caseSensitive, regex }), classes.Match));
+        setError('');
+      } catch (e) {
+        clearHighlights(root);
+        setMatches([]);
+        setError('Invalid regular expression');
+      }
+      setCurrent(0);
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [getRoot, content, query, caseSensitive, regex]);
+
+  // Remove highlights when the bar closes
+  useEffect(() => () => clearHighlights(getRoot()), [getRoot]);
+
+  useEffect(() => {
+    const marks = matches[current];
+    if (!marks) {
+      setSection('');
+      return;
+    }
+    marks.forEach(mark => mark.classList.add(classes.Current));
+    marks[0].scrollIntoView({ block: 'center' });
+
+    const heading = findPrecedingHeading(getRoot(), marks[0]);
+    setSection(heading ? heading.textContent.trim() : '');
+    if (onMatchChange) onMatchChange(heading);
+
+    return () => marks.forEach(mark => mark.classList.remove(classes.Current));
+  }, [matches, current, getRoot, onMatchChange]);
+
+  const step = (delta) => {
+    if (matches.length === 0) return;
+    setCurrent(i => (i + delta + matches.length) % matches.length);
+  };
+
+  const keyDownHandler = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      step(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  let status = '';
+  if (error) {
+    status = error;
+  } else if (query) {
+    status = matches.length ? `${current + 1} of ${matches.length}` : 'No matches';
+  }
+
+  return (
+    <div className={classes.FindBar} role="search">
+      <input
+        ref={inputRef}
+        type="text"
+        className="form-control"
+        placeholder="Find in this list"
+        aria-label="Find in this list"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={keyDownHandler}
+      />
+      <span className={`${classes.Status} ${error ? classes.Error : ''}`} aria-live="polite">
+        {status}
+      </span>
+      <button
+        className={caseSensitive ? classes.Active : ''}
+        title="Match case"
+        aria-pressed={caseSensitive}
+        onClick={() => setCaseSensitive(v => !v)}
+      >
+        Aa
+      </button>
+      <button
+        className={regex ? classes.Active : ''}
+        title="Regular expression"
+        aria-pressed={regex}
+        onClick={() => setRegex(v => !v)}
+      >
+        .*
+      </button>
+      <button title="Previous match (Shift+Enter)" onClick={() => step(-1)} disabled={matches.length === 0}>
+        <FontAwesomeIcon icon={faChevronUp} />
+      </button>
+      <button title="Next match (Enter)" onClick={() => step(1)} disabled={matches.length === 0}>
+        <FontAwesomeIcon icon={faChevronDown} />
+      </button>
+      <button title="Close (Esc)" onClick={onClose}>
+        <FontAwesomeIcon icon={faTimes} />
+      </button>
+      {section && <div className={classes.Section}>in {section}</div>}
+    </div>
+  );
+};
+
+export default FindBar;
@@ -0,0 +1 @@
+export { default as FindBar } from './FindBar';
@@ -79,7 +79,7 @@ const ExportModal = ({ isOpen, onClose, collection, allCollections }) => {
       <div className={classes.ExportModal}>
         <p className={classes.Description}>
           {isSingleCollection 
-            ? `Export this collection with ${collection.lists.length} lists.`
+            ? `Export this collection with ${collection.lists.length} items.`
             : `Export all ${allCollections?.length || 0} collections.`
           }
         </p>
@@ -198,7 +198,7 @@ const ImportModal = ({ isOpen, onClose }) => {
                     {previewData.collection && (
                       <div className={classes.PreviewItem}>
                         <strong>{previewData.collection.name}</strong>
-                        <span>{previewData.collection.lists?.length || 0} lists</span>
+                        <span>{previewData.collection.lists?.length || 0} items</span>
                       </div>
                     )}
                     {previewData.collections && (
@@ -206,7 +206,7 @@ const ImportModal = ({ isOpen, onClose }) => {
                         {previewData.collections.slice(0, 5).map((c, i) => (
                           <div key={i} className={classes.PreviewItem}>
                             <strong>{c.name}</strong>
-                            <span>{c.lists?.length || 0} lists</span>
+                            <span>{c.lists?.length || 0} items</span>
                           </div>
                         ))}
                         {previewData.collections.length > 5 && (
@@ -0,0 +1,109 @@
+/**
+ * LintReport - awesome-lint style quality report of a list, shown before it is added
+ */
+import React from 'react';
+import { Button, Card } from '../UI';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faCheckCircle,
+  faTimesCircle,
+  faExclamationTriangle,
+  faMinusCircle,
+  faSpinner,
+} from '@fortawesome/free-solid-svg-icons';
+import classes from './LintReport.module.css';
+
+const MAX_MESSAGES = 20;
+
+const ruleIcon = (rule) => {
+  if (rule.skipped) return { icon: faMinusCircle, className: classes.Skipped };
+  if (rule.passed) return { icon: faCheckCircle, className: classes.Passed };
+  return rule.severity === 'error'
+    ? { icon: faTimesCircle, className: classes.Failed }
+    : { icon: faExclamationTriangle, className: classes.Warned };
+};
+
+const summarize = ({ counts }) => {
+  if (!counts.errors && !counts.warnings) return 'All checks passed';
+  const parts = [];
+  if (counts.errors) parts.push(`${counts.errors} ${counts.errors === 1 ? 'error' : 'errors'}`);
+  if (counts.warnings) parts.push(`${counts.warnings} ${counts.warnings === 1 ? 'warning' : 'warnings'}`);
+  return parts.join(', ');
+};
+
+const LintReport = ({ check, onAdd, onCancel }) => {
+  if (!check) return null;
+  const { repo, loading, report, error } = check;
+
+  return (
+    <Card className={classes.LintReport}>
+      <div className={classes.Header}>
+        <h4>
+          Quality report for{' '}
+          <a href={`https://github.com/${repo}`} target="_blank" rel="noopener noreferrer">{repo}</a>
+        </h4>
+        {report && (
+          <span className={report.passed ? classes.SummaryPassed : classes.SummaryFailed}>
+            {summarize(report)}
+          </span>
+        )}
+      </div>
+
+      {loading && (
+        <div className={classes.Status}>
+          <FontAwesomeIcon icon={faSpinner} spin /> Checking the README against the awesome-lint rules…
+        </div>
+      )}
+      {error && <div className={classes.Error}>{error}</div>}
+
+      {report && (
+        <ul className={classes.Rules}>
+          {report.rules.map((rule) => {
+            const { icon, className } = ruleIcon(rule);
+            return (
+              <li key={rule.id}>
+                <details open={!rule.passed && !rule.skipped}>
+                  <summary className={classes.Rule}>
+                    <FontAwesomeIcon icon={icon} className={className} />
+                    <span>{rule.title}</span>
+                    {rule.messages.length > 0 && (
+                      <span className={classes.Count}>{rule.messages.length}</span>
+                    )}
+                    {rule.skipped && <span className={classes.Count}>skipped</span>}
+                  </summary>
+                  {rule.messages.length > 0 && (
+                    <ul className={classes.Messages}>
+                      {rule.messages.slice(0, MAX_MESSAGES).map((message, idx) => (
+                        <li key={idx}>{message}</li>
+                      ))}
+                      {rule.messages.length > MAX_MESSAGES && (
+                        <li className={classes.More}>
+                          …and {rule.messages.length - MAX_MESSAGES} more
+                        </li>
+                      )}
+                    </ul>
+                  )}
+                </details>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className={classes.Actions}>
+        <Button size="small" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          size="small"
+          variant={report && report.passed ? 'primary' : 'warning'}
+          onClick={onAdd}
+        >
+          {report && report.passed ? 'Add list' : 'Add anyway'}
+        </Button>
+      </div>
+    </Card>
+  );
+};
+
+export default LintReport;
@@ -1,11 +1,13 @@
 /**
  * ListManager - Manage awesome-list sources with enable/disable toggles
  */
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { useListManagement } from '../../context/ListManagementContext';
 import { Toggle, Button, Card, Tabs } from '../UI';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import awesomeLintService from '../../services/awesomeLintService';
 import githubService from '../../services/githubService';
+import readingProgressService from '../../services/readingProgressService';
 import { 
   faList, 
   faStar,
@@ -16,6 +18,7 @@ import {
   faTimes,
   faExternalLinkAlt
 } from '@fortawesome/free-solid-svg-icons';
+import LintReport from './LintReport';
 import classes from './ListManager.module.css';
 
 const ListManager = ({ allLists = [], onRefresh }) => {
@@ -33,6 +36,20 @@ const ListManager = ({ allLists = [], onRefresh }) => {
   const [activeTab, setActiveTab] = useState('all');
   const [showAddForm, setShowAddForm] = useState(false);
   const [newListUrl, setNewListUrl] = useState('');
+  const [progress, setProgress] = useState(() => readingProgressService.getAll());
+  // Quality report of the list about to be added: { repo, list, fromSearch, loading, report, error }
+  const [lintCheck, setLintCheck] = useState(null);
+  const lintTarget = useRef(null);
+
+  useEffect(() => () => {
+    lintTarget.current = null;
+  }, []);
+
+  useEffect(() => {
+    const refresh = () => setProgress(readingProgressService.getAll());
+    window.addEventListener('readingProgressUpdated', refresh);
+    return () => window.removeEventListener('readingProgressUpdated', refresh);
+  }, []);
 
   // Use safe fallbacks from context and memoize to keep stable references
   const disabled = React.useMemo(() => (state?.disabledLists || []), [state?.disabledLists]);
@@ -47,11 +64,15 @@ const ListManager = ({ allLists = [], onRefresh }) => {
 
   const starredCount = favorites.length;
   const customCount = customLists.length;
+  const inProgressCount = allListsSafe.filter(l => (
+    readingProgressService.isInProgress(progress[l.repo || `${l.user}/${l.name}`])
+  )).length;
 
   const tabs = [
     { id: 'all', label: 'All Lists', badge: allListsSafe.length },
     { id: 'enabled', label: 'Enabled', badge: enabledCount },
     { id: 'starred', label: 'Starred', badge: starredCount },
+    { id: 'progress', label: 'In Progress', badge: inProgressCount },
     { id: 'custom', label: 'Custom', badge: customCount }
   ];
 
@@ -64,6 +85,7 @@ const ListManager = ({ allLists = [], onRefresh }) => {
         isEnabled: !disabled.includes(id),
         isStarred: favorites.includes(id),
         isCustom: false,
+        percentRead: readingProgressService.getPercent(progress[id]),
       };
     });
 
@@ -75,6 +97,13 @@ const ListManager = ({ allLists = [], onRefresh }) => {
       case 'starred':
         lists = lists.filter(l => l.isStarred);
         break;
+      case 'progress':
+        // Most recently read first
+        lists = lists
+          .filter(l => l.percentRead > 0 && l.percentRead < 100)
+          .sort((a, b) => progress[b.repo || `${b.user}/${b.name}`].updatedAt
+            .localeCompare(progress[a.repo || `${a.user}/${a.name}`].updatedAt));
+        break;
       case 'custom':
         // Normalize custom lists from context
         lists = customLists.map(l => ({
@@ -82,6 +111,7 @@ const ListManager = ({ allLists = [], onRefresh }) => {
           isCustom: true,
           isEnabled: !disabled.includes(l.repo),
           isStarred: favorites.includes(l.repo),
+          percentRead: readingProgressService.getPercent(progress[l.repo]),
         }));
         break;
       default:
@@ -99,7 +129,7 @@ const ListManager = ({ allLists = [], onRefresh }) => {
     }
 
     return lists;
-  }, [allListsSafe, customLists, disabled, favorites, activeTab, searchTerm]);
+  }, [allListsSafe, customLists, disabled, favorites, progress, activeTab, searchTerm]);
 
   const handleAddCustomList = () => {
     if (!newListUrl.trim()) return;
@@ -112,15 +142,45 @@ const ListManager = ({ allLists = [], onRefresh }) => {
     }
 
     if (repo.includes('/')) {
-      addCustomList({
+      startLintCheck({
         repo,
         name: repo.split('/')[1],
         user: repo.split('/')[0],
         isCustom: true
       });
+    }
+  };
+
+  // Lint the list first; it is only added once the report has been seen
+  const startLintCheck = (list, fromSearch = false) => {
+    const [owner, name] = list.repo.split('/');
+    lintTarget.current = list.repo;
+    setLintCheck({ repo: list.repo, list, fromSearch, loading: true, report: null, error: null });
+
+    awesomeLintService.lintList(owner, name)
+      .then((report) => {
+        if (lintTarget.current !== list.repo) return;
+        setLintCheck(check => ({ ...check, loading: false, report }));
+      })
+      .catch((error) => {
+        if (lintTarget.current !== list.repo) return;
+        setLintCheck(check => ({ ...check, loading: false, error: error.message }));
+      });
+  };
+
+  const cancelLintCheck = () => {
+    lintTarget.current = null;
+    setLintCheck(null);
+  };
+
+  const confirmAddList = () => {
+    if (!lintCheck) return;
+    addCustomList(lintCheck.list);
+    if (!lintCheck.fromSearch) {
       setNewListUrl('');
       setShowAddForm(false);
     }
+    cancelLintCheck();
   };
 
   const getListId = (list) => list.repo || `${list.user}/${list.name}`;
@@ -168,7 +228,7 @@ const ListManager = ({ allLists = [], onRefresh }) => {
       setTimeout(() => setGhError(null), 1500);
       return;
     }
-    addCustomList({ repo: item.repo, name: item.name, user: item.fullName.split('/')[0], description: item.description, isCustom: true });
+    startLintCheck({ repo: item.repo, name: item.name, user: item.fullName.split('/')[0], description: item.description, isCustom: true }, true);
   };
 
   return (
@@ -225,6 +285,10 @@ const ListManager = ({ allLists = [], onRefresh }) => {
         </Card>
       )}
 
+      {lintCheck && !lintCheck.fromSearch && (
+        <LintReport check={lintCheck} onAdd={confirmAddList} onCancel={cancelLintCheck} />
+      )}
+
       {/* GitHub topic search for awesome lists */}
       <div className={classes.GitHubSearch}>
         <div className={classes.GitHubHeader}>
@@ -249,17 +313,22 @@ const ListManager = ({ allLists = [], onRefresh }) => {
         {ghResults.length > 0 && (
           <div className={classes.GhResults}>
             {ghResults.map(item => (
-              <div key={item.id} className={classes.GhRow}>
-                <div className={classes.GhInfo}>
-                  <a href={item.url} target="_blank" rel="noopener noreferrer">{item.fullName}</a>
-                  <div className={classes.GhDesc}>{item.description}</div>
+              <React.Fragment key={item.id}>
+                <div className={classes.GhRow}>
+                  <div className={classes.GhInfo}>
+                    <a href={item.url} target="_blank" rel="noopener noreferrer">{item.fullName}</a>
+                    <div className={classes.GhDesc}>{item.description}</div>
+                  </div>
+                  <div className={classes.GhActions}>
+                    <Button size="small" variant="secondary" onClick={() => addGhAsCustom(item)}>
+                      Add
+                    </Button>
+                  </div>
                 </div>
-                <div className={classes.GhActions}>
-                  <Button size="small" variant="secondary" onClick={() => addGhAsCustom(item)}>
-                    Add
-                  </Button>
-                </div>
-              </div>
+                {lintCheck && lintCheck.fromSearch && lintCheck.repo === item.repo && (
+                  <LintReport check={lintCheck} onAdd={confirmAddList} onCancel={cancelLintCheck} />
+                )}
+              </React.Fragment>
             ))}
 
             <div className={classes.GhPager}>
@@ -286,6 +355,14 @@ const ListManager = ({ allLists = [], onRefresh }) => {
                 {list.description && (
                   <p className={classes.ListDesc}>{list.description}</p>
                 )}
+                {list.percentRead > 0 && (
+                  <div className={classes.ReadProgress} title={`${list.percentRead}% of sections read`}>
+                    <div className={classes.ReadProgressBar}>
+                      <div style={{ width: `${list.percentRead}%` }} />
+                    </div>
+                    {list.percentRead}% read
+                  </div>
+                )}
               </div>
               <div className={classes.ListActions}>
                 <button
@@ -0,0 +1,159 @@
+/**
+ * ReadmeToc - Table of contents of a README as a collapsible tree
+ * Headings are nested by level. The filter keeps matching sections and their parents,
+ * and each section shows how many entries it holds, subsections included.
+ */
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCaretRight, faCaretDown, faLink } from '@fortawesome/free-solid-svg-icons';
+import classes from './ReadmeToc.module.css';
+
+// Deeper levels start collapsed so long READMEs open as an overview
+const DEFAULT_OPEN_DEPTH = 2;
+
+/**
+ * Nest flat headers ({ id, level, title }) into { ...header, key, count, children } nodes
+ */
+const buildTree = (headers, counts) => {
+  const root = { children: [] };
+  const stack = [{ level: 0, node: root }];
+
+  headers.forEach((header, idx) => {
+    while (stack.length > 1 && stack[stack.length - 1].level >= header.level) stack.pop();
+    const node = { ...header, key: idx, own: (header.id && counts[header.id]) || 0, children: [] };
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ level: header.level, node });
+  });
+
+  const total = (node) => {
+    node.count = node.own + node.children.reduce((sum, child) => sum + total(child), 0);
+    return node.count;
+  };
+  root.children.forEach(total);
+  return root.children;
+};
+
+/**
+ * Keys of the nodes on the way to the node with the given id (the node included)
+ */
+const findPath = (nodes, id, path = []) => {
+  for (const node of nodes) {
+    if (node.id === id) return [...path, node.key];
+    const found = findPath(node.children, id, [...path, node.key]);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Nodes whose title matches the filter, with the parents that lead to them
+ */
+const filterTree = (nodes, query) => nodes.reduce((kept, node) => {
+  const children = filterTree(node.children, query);
+  if (children.length || node.title.toLowerCase().includes(query)) kept.push({ ...node, children });
+  return kept;
+}, []);
+
+const ReadmeToc = ({ headers = [], counts = {}, currentId, activeId, copiedId, onSelect, onCopy }) => {
+  const [filter, setFilter] = useState('');
+  const [open, setOpen] = useState({}); // key -> explicitly expanded/collapsed
+  const activeRef = useRef(null);
+
+  const tree = useMemo(() => buildTree(headers, counts), [headers, counts]);
+  const query = filter.trim().toLowerCase();
+  const shown = useMemo(() => (query ? filterTree(tree, query) : tree), [tree, query]);
+
+  // Sections leading to the one in view stay expanded unless collapsed by hand
+  const highlightedId = activeId || currentId;
+  const activePath = useMemo(() => new Set(findPath(tree, highlightedId) || []), [tree, highlightedId]);
+
+  useEffect(() => {
+    if (activeRef.current) activeRef.current.scrollIntoView({ block: 'nearest' });
+  }, [highlightedId]);
+
+  const isOpen = (node, depth) => {
+    if (query) return true;
+    if (node.key in open) return open[node.key];
+    return activePath.has(node.key) || depth < DEFAULT_OPEN_DEPTH;
+  };
+
+  const setAll = (value) => {
+    const next = {};
+    const visit = (node) => {
+      if (node.children.length) next[node.key] = value;
+      node.children.forEach(visit);
+    };
+    tree.forEach(visit);
+    setOpen(next);
+  };
+
+  const renderNodes = (nodes, depth) => nodes.map((node) => {
+    const expanded = isOpen(node, depth);
+    const highlighted = node.id && node.id === highlightedId;
+    return (
+      <li key={node.key}>
+        <div
+          ref={highlighted ? activeRef : null}
+          className={[
+            classes.Item,
+            node.id && node.id === currentId ? classes.Current : '',
+            node.id && node.id === activeId ? classes.Active : '',
+          ].join(' ')}
+        >
+          {node.children.length > 0 ? (
+            <button
+              type='button'
+              className={classes.Toggle}
+              aria-expanded={expanded}
+              aria-label={expanded ? `Collapse ${node.title}` : `Expand ${node.title}`}
+              onClick={() => setOpen(prev => ({ ...prev, [node.key]: !expanded }))}
+            >
+              <FontAwesomeIcon icon={expanded ? faCaretDown : faCaretRight} />
+            </button>
+          ) : (
+            <span className={classes.Toggle} />
+          )}
+          <span className={classes.Title} onClick={() => node.id && onSelect(node.id)}>
+            {node.title}
+          </span>
+          {node.count > 0 && (
+            <span className={classes.Count} title={`${node.count} entries`}>{node.count}</span>
+          )}
+          {onCopy && node.id && (
+            <span
+              className={classes.Copy}
+              title='Copy link to section'
+              onClick={() => onCopy(node.id)}
+            >
+              {copiedId === node.id ? 'Copied' : <FontAwesomeIcon icon={faLink} />}
+            </span>
+          )}
+        </div>
+        {expanded && node.children.length > 0 && (
+          <ul>{renderNodes(node.children, depth + 1)}</ul>
+        )}
+      </li>
+    );
+  });
+
+  return (
+    <div className={classes.ReadmeToc}>
+      <div className={classes.Controls}>
+        <input
+          type='search'
+          placeholder='Filter sections'
+          aria-label='Filter sections'
+          value={filter}
+          onChange={e => setFilter(e.target.value)}
+        />
+        <button type='button' onClick={() => setAll(true)}>Expand all</button>
+        <button type='button' onClick={() => setAll(false)}>Collapse all</button>
+      </div>
+      {shown.length > 0
+        ? <ul className={classes.Tree}>{renderNodes(shown, 0)}</ul>
+        : <p className={classes.Empty}>{query ? 'No sections match.' : 'No sections yet.'}</p>}
+    </div>
+  );
+};
+
+export default ReadmeToc;
@@ -0,0 +1 @@
+export { default as ReadmeToc } from './ReadmeToc';
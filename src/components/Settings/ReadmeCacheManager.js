@@ -0,0 +1,71 @@
+/**
+ * ReadmeCacheManager - Lists READMEs saved for offline reading and evicts them
+ */
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import TimeAgo from 'timeago-react';
+import readmeCacheService from '../../services/readmeCacheService';
+import { Button } from '../UI';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes, faTrash } from '@fortawesome/free-solid-svg-icons';
+import classes from './ReadmeCacheManager.module.css';
+
+/**
+ * Viewer route of a cached record; other files of a repo are keyed user/repo/path
+ */
+const recordPath = record => (
+  record.path
+    ? `/${record.repo.slice(0, -(record.path.length + 1))}/file/${record.path}`
+    : `/${record.repo}`
+);
+
+const ReadmeCacheManager = ({ formatBytes, onNavigate }) => {
+  const [records, setRecords] = useState([]);
+
+  useEffect(() => {
+    const refresh = () => readmeCacheService.list().then(setRecords).catch(() => setRecords([]));
+    refresh();
+    window.addEventListener('readmeCacheUpdated', refresh);
+    return () => window.removeEventListener('readmeCacheUpdated', refresh);
+  }, []);
+
+  const totalSize = records.reduce((sum, record) => sum + (record.size || 0), 0);
+
+  return (
+    <div className={classes.ReadmeCacheManager}>
+      <p className={classes.Summary}>
+        {records.length} READMEs saved for offline reading ({formatBytes(totalSize)}).
+        Saved copies open instantly and are refreshed in the background.
+      </p>
+      {records.length > 0 && (
+        <ul className={classes.Records}>
+          {records.map(record => (
+            <li key={record.repo}>
+              <Link to={recordPath(record)} onClick={onNavigate}>{record.repo}</Link>
+              <span className={classes.Meta}>
+                {formatBytes(record.size || 0)} · saved <TimeAgo datetime={record.fetchedAt} />
+              </span>
+              <button
+                className={classes.Evict}
+                title={`Remove ${record.repo} from the cache`}
+                onClick={() => readmeCacheService.evict(record.repo)}
+              >
+                <FontAwesomeIcon icon={faTimes} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <Button
+        variant="secondary"
+        onClick={() => readmeCacheService.clear()}
+        disabled={records.length === 0}
+      >
+        <FontAwesomeIcon icon={faTrash} />
+        Clear Cache
+      </Button>
+    </div>
+  );
+};
+
+export default ReadmeCacheManager;
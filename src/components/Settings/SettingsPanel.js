@@ -1,10 +1,16 @@
 /**
  * SettingsPanel - Main settings hub for the application
  */
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import storageService from '../../services/storageService';
+import contentIndexService from '../../services/contentIndexService';
+import readmeCacheService from '../../services/readmeCacheService';
+import listChangesService from '../../services/listChangesService';
+import linkCheckService from '../../services/linkCheckService';
 import { Modal, Button, Toggle, Tabs } from '../UI';
 import { AISettings } from '../AI';
+import SynonymEditor from './SynonymEditor';
+import ReadmeCacheManager from './ReadmeCacheManager';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { 
   faCog,
@@ -15,16 +21,23 @@ import {
   faDownload,
   faUpload,
   faSave,
+  faSearch,
+  faHistory,
+  faSync,
+  faStop,
   faExclamationTriangle
 } from '@fortawesome/free-solid-svg-icons';
 import classes from './SettingsPanel.module.css';
 
-const SettingsPanel = ({ isOpen, onClose, onExport, onImport }) => {
+const SettingsPanel = ({ isOpen, onClose, onExport, onImport, lists = [] }) => {
   const [activeTab, setActiveTab] = useState('general');
   const [showAISettings, setShowAISettings] = useState(false);
   const [showClearConfirm, setShowClearConfirm] = useState(false);
   const [preferences, setPreferences] = useState(() => storageService.getPreferences());
   const [saved, setSaved] = useState(false);
+  const [indexStats, setIndexStats] = useState({ lists: 0, entries: 0 });
+  const [indexProgress, setIndexProgress] = useState(null);
+  const indexAbort = useRef(null);
 
   const tabs = [
     { id: 'general', label: 'General' },
@@ -33,17 +46,67 @@ const SettingsPanel = ({ isOpen, onClose, onExport, onImport }) => {
   ];
 
   const stats = storageService.getStorageStats();
+  // Search only reads the index while the saved preference is on, so don't build it before then
+  const indexEnabled = contentIndexService.isEnabled();
+
+  // Preferences are also written elsewhere (search history), so re-read them on open
+  useEffect(() => {
+    if (isOpen) setPreferences(storageService.getPreferences());
+  }, [isOpen]);
 
   const handleSavePreferences = () => {
-    storageService.savePreferences(preferences);
+    // Merge over the stored copy so history and ranking changed since opening aren't overwritten
+    const { searchHistory, savedSearches, searchRanking, ...changes } = preferences;
+    storageService.savePreferences({ ...storageService.getPreferences(), ...changes });
     setSaved(true);
     setTimeout(() => setSaved(false), 2000);
   };
 
+  // Keep README index stats fresh while the Data tab is visible
+  useEffect(() => {
+    if (!isOpen || activeTab !== 'data') return;
+    const refresh = () => contentIndexService.getStats().then(setIndexStats);
+    refresh();
+    window.addEventListener('contentIndexUpdated', refresh);
+    return () => window.removeEventListener('contentIndexUpdated', refresh);
+  }, [isOpen, activeTab]);
+
+  const handleBuildIndex = async () => {
+    indexAbort.current = new AbortController();
+    const repos = lists.map(l => l.repo).filter(Boolean);
+    await contentIndexService.buildIndex(repos, {
+      signal: indexAbort.current.signal,
+      onProgress: setIndexProgress,
+    });
+    indexAbort.current = null;
+    setIndexProgress(null);
+  };
+
+  const handleStopIndex = () => {
+    if (indexAbort.current) indexAbort.current.abort();
+  };
+
+  const handleClearIndex = () => {
+    contentIndexService.clear();
+  };
+
+  const handleClearHistory = () => {
+    storageService.clearSearchHistory();
+    setPreferences(storageService.getPreferences());
+    try { window.dispatchEvent(new CustomEvent('searchHistoryUpdated')); } catch (e) {}
+  };
+
   const handleClearData = () => {
     storageService.clearAllData();
     setShowClearConfirm(false);
-    window.location.reload();
+    Promise.all([
+      contentIndexService.clear(),
+      readmeCacheService.clear(),
+      listChangesService.clear(),
+      linkCheckService.clear(),
+    ])
+      .catch(() => {})
+      .finally(() => window.location.reload());
   };
 
   const formatBytes = (bytes) => {
@@ -111,6 +174,29 @@ const SettingsPanel = ({ isOpen, onClose, onExport, onImport }) => {
                   </Button>
                 </div>
 
+                <div className={classes.Section}>
+                  <h4>
+                    <FontAwesomeIcon icon={faSearch} />
+                    Search
+                  </h4>
+                  <div className={classes.Option}>
+                    <Toggle
+                      checked={preferences.fullTextSearch}
+                      onChange={(checked) => setPreferences(p => ({ ...p, fullTextSearch: checked }))}
+                      label="Search inside README contents"
+                    />
+                  </div>
+                  <p className={classes.Description}>
+                    Builds a local index of the entries in every enabled list so the search box
+                    can find individual tools. Manage the index from the Data tab.
+                  </p>
+                  <p className={classes.Description}>
+                    Synonyms and abbreviations below are added to your searches (e.g. "k8s" also
+                    finds "kubernetes"). They work offline and are saved as you edit them.
+                  </p>
+                  <SynonymEditor />
+                </div>
+
                 <div className={classes.Actions}>
                   <Button onClick={handleSavePreferences}>
                     <FontAwesomeIcon icon={faSave} />
@@ -143,6 +229,78 @@ const SettingsPanel = ({ isOpen, onClose, onExport, onImport }) => {
                   </div>
                 </div>
 
+                <div className={classes.Section}>
+                  <h4>
+                    <FontAwesomeIcon icon={faSearch} />
+                    README Index
+                  </h4>
+                  <p className={classes.Description}>
+                    {indexStats.entries} entries from {indexStats.lists} lists are indexed for full-text search.
+                    {indexProgress && ` Indexing ${indexProgress.done}/${indexProgress.total}` +
+                      (indexProgress.failed ? ` (${indexProgress.failed} failed)` : '') + '...'}
+                  </p>
+                  {!indexEnabled && (
+                    <p className={classes.Description}>
+                      Turn on "Search inside README contents" in the General tab and save to build the index.
+                    </p>
+                  )}
+                  <div className={classes.ButtonGroup}>
+                    {indexProgress ? (
+                      <Button variant="secondary" onClick={handleStopIndex}>
+                        <FontAwesomeIcon icon={faStop} />
+                        Stop Indexing
+                      </Button>
+                    ) : (
+                      <Button
+                        variant="secondary"
+                        onClick={handleBuildIndex}
+                        disabled={!indexEnabled || lists.length === 0}
+                      >
+                        <FontAwesomeIcon icon={faSync} />
+                        Build Index
+                      </Button>
+                    )}
+                    <Button
+                      variant="secondary"
+                      onClick={handleClearIndex}
+                      disabled={!!indexProgress || indexStats.lists === 0}
+                    >
+                      <FontAwesomeIcon icon={faTrash} />
+                      Clear Index
+                    </Button>
+                  </div>
+                </div>
+
+                <div className={classes.Section}>
+                  <h4>
+                    <FontAwesomeIcon icon={faDatabase} />
+                    README Cache
+                  </h4>
+                  <ReadmeCacheManager formatBytes={formatBytes} onNavigate={onClose} />
+                </div>
+
+                <div className={classes.Section}>
+                  <h4>
+                    <FontAwesomeIcon icon={faHistory} />
+                    Search History
+                  </h4>
+                  <p className={classes.Description}>
+                    {(preferences.searchHistory || []).length} recent searches and{' '}
+                    {(preferences.savedSearches || []).length} saved searches are stored.
+                    Clearing the history keeps your saved searches.
+                  </p>
+                  <div className={classes.ButtonGroup}>
+                    <Button
+                      variant="secondary"
+                      onClick={handleClearHistory}
+                      disabled={(preferences.searchHistory || []).length === 0}
+                    >
+                      <FontAwesomeIcon icon={faTrash} />
+                      Clear History
+                    </Button>
+                  </div>
+                </div>
+
                 <div className={classes.Section}>
                   <h4>Import / Export</h4>
                   <p className={classes.Description}>
@@ -195,6 +353,9 @@ const SettingsPanel = ({ isOpen, onClose, onExport, onImport }) => {
                     <h4>Features</h4>
                     <ul>
                       <li>Search across 600+ awesome lists</li>
+                      <li>Full-text search inside list READMEs</li>
+                      <li>Offline synonym expansion for searches</li>
+                      <li>Offline reading of previously opened READMEs</li>
                       <li>Create custom collections</li>
                       <li>AI-powered recommendations</li>
                       <li>Import/Export support (JSON, Markdown, HTML, CSV)</li>
@@ -0,0 +1,94 @@
+/**
+ * SynonymEditor - Edit the local synonym dictionary used to expand search queries
+ * Changes are saved immediately and apply to the next search
+ */
+import React, { useState, useEffect } from 'react';
+import synonymService from '../../services/synonymService';
+import { Button } from '../UI';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faPlus, faTimes, faUndo } from '@fortawesome/free-solid-svg-icons';
+import classes from './SynonymEditor.module.css';
+
+const SynonymEditor = () => {
+  const [dictionary, setDictionary] = useState(() => synonymService.getDictionary());
+  const [term, setTerm] = useState('');
+  const [expansions, setExpansions] = useState('');
+
+  useEffect(() => {
+    const refresh = () => setDictionary(synonymService.getDictionary());
+    window.addEventListener('synonymsUpdated', refresh);
+    return () => window.removeEventListener('synonymsUpdated', refresh);
+  }, []);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (synonymService.setSynonym(term, expansions.split(','))) {
+      setTerm('');
+      setExpansions('');
+    }
+  };
+
+  const entries = Object.entries(dictionary).sort((a, b) => a[0].localeCompare(b[0]));
+
+  return (
+    <div className={classes.SynonymEditor}>
+      <ul className={classes.Entries}>
+        {entries.map(([key, values]) => (
+          <li key={key}>
+            <button
+              className={classes.Term}
+              title="Edit"
+              onClick={() => {
+                setTerm(key);
+                setExpansions(values.join(', '));
+              }}
+            >
+              {key}
+            </button>
+            <span className={classes.Expansions}>→ {values.join(', ')}</span>
+            <button
+              className={classes.Remove}
+              title={`Remove "${key}"`}
+              onClick={() => synonymService.removeSynonym(key)}
+            >
+              <FontAwesomeIcon icon={faTimes} />
+            </button>
+          </li>
+        ))}
+        {entries.length === 0 && <li className={classes.Empty}>No synonyms defined.</li>}
+      </ul>
+
+      <form className={classes.AddForm} onSubmit={handleAdd}>
+        <input
+          type="text"
+          className="form-control"
+          placeholder="Term, e.g. k8s"
+          aria-label="Term"
+          value={term}
+          onChange={(e) => setTerm(e.target.value)}
+        />
+        <input
+          type="text"
+          className="form-control"
+          placeholder="Expands to, comma-separated"
+          aria-label="Expansions"
+          value={expansions}
+          onChange={(e) => setExpansions(e.target.value)}
+        />
+        <Button type="submit" size="small" disabled={!term.trim() || !expansions.trim()}>
+          <FontAwesomeIcon icon={faPlus} />
+          {dictionary[term.trim().toLowerCase()] ? 'Update' : 'Add'}
+        </Button>
+      </form>
+
+      {synonymService.isCustomized() && (
+        <Button variant="secondary" size="small" onClick={() => synonymService.resetToDefaults()}>
+          <FontAwesomeIcon icon={faUndo} />
+          Reset to Defaults
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default SynonymEditor;
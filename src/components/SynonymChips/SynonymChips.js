@@ -0,0 +1,34 @@
+/**
+ * SynonymChips - Shows the synonym expansions applied to a query as removable chips
+ */
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTimes } from '@fortawesome/free-solid-svg-icons';
+import classes from './SynonymChips.module.css';
+
+const SynonymChips = ({ expansions = [], onRemove }) => {
+  if (expansions.length === 0) return null;
+
+  return (
+    <div className={classes.SynonymChips} aria-label="Synonym expansions">
+      <span className={classes.Label}>Also searching</span>
+      {expansions.map(({ term, expansions: values }) => (
+        <span key={term} className={classes.Chip}>
+          {term} → {values.join(', ')}
+          <button
+            type="button"
+            className={classes.Remove}
+            title={`Don't expand "${term}"`}
+            aria-label={`Don't expand ${term}`}
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onRemove(term)}
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default SynonymChips;
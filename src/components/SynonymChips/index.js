@@ -0,0 +1 @@
+export { default as SynonymChips } from './SynonymChips';
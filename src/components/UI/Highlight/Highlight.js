@@ -0,0 +1,60 @@
+/**
+ * Highlight - Render text with matched ranges wrapped in <mark>
+ * Ranges use Fuse.js' format: [start, end] with an inclusive end
+ */
+import React from 'react';
+import classes from './Highlight.module.css';
+
+// Sort and merge overlapping or touching ranges
+const normalizeRanges = (indices = []) => {
+  const sorted = [...indices].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + 1) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+};
+
+const Highlight = ({ text = '', indices = [], maxLength }) => {
+  let ranges = normalizeRanges(indices);
+  let visible = text;
+  let prefix = '';
+  let suffix = '';
+
+  // Cut a snippet around the first match when the text is too long
+  if (maxLength && text.length > maxLength) {
+    const firstMatch = ranges.length ? ranges[0][0] : 0;
+    const start = Math.max(0, Math.min(firstMatch - Math.floor(maxLength / 3), text.length - maxLength));
+    const end = start + maxLength;
+    visible = text.slice(start, end);
+    prefix = start > 0 ? '…' : '';
+    suffix = end < text.length ? '…' : '';
+    ranges = ranges
+      .filter(([s, e]) => e >= start && s < end)
+      .map(([s, e]) => [Math.max(s, start) - start, Math.min(e, end - 1) - start]);
+  }
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end], idx) => {
+    if (start > cursor) parts.push(visible.slice(cursor, start));
+    parts.push(
+      <mark key={idx} className={classes.Mark}>{visible.slice(start, end + 1)}</mark>
+    );
+    cursor = end + 1;
+  });
+  if (cursor < visible.length) parts.push(visible.slice(cursor));
+
+  return (
+    <span className={classes.Highlight}>
+      {prefix}{parts}{suffix}
+    </span>
+  );
+};
+
+export default Highlight;
@@ -0,0 +1,20 @@
+/**
+ * NewBadge - "N new" pill for entries added since the user last visited a list
+ * Renders nothing when there is nothing new
+ */
+import React from 'react';
+import classes from './NewBadge.module.css';
+
+const NewBadge = ({ count }) => {
+  if (!count) return null;
+  return (
+    <span
+      className={classes.NewBadge}
+      title={`${count} new ${count === 1 ? 'entry' : 'entries'} since your last visit`}
+    >
+      {count} new
+    </span>
+  );
+};
+
+export default NewBadge;
@@ -0,0 +1,37 @@
+/**
+ * RepoStats - Compact GitHub stars / last update / archived badge for a list
+ * Renders nothing until stats have been cached for the repo
+ */
+import React from 'react';
+import classes from './RepoStats.module.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatStars = (stars) => (
+  stars >= 1000 ? `${(stars / 1000).toFixed(stars >= 10000 ? 0 : 1)}k` : String(stars)
+);
+
+const formatAge = (date) => {
+  const days = Math.floor((Date.now() - new Date(date).getTime()) / DAY_MS);
+  if (days < 1) return 'today';
+  if (days < 30) return `${days}d ago`;
+  if (days < 365) return `${Math.floor(days / 30)}mo ago`;
+  return `${Math.floor(days / 365)}y ago`;
+};
+
+const RepoStats = ({ stats }) => {
+  if (!stats) return null;
+  return (
+    <span className={classes.RepoStats}>
+      <span title={`${stats.stars} stars`}>★ {formatStars(stats.stars || 0)}</span>
+      {stats.pushedAt ? (
+        <span title={`Last push ${new Date(stats.pushedAt).toLocaleDateString()}`}>
+          · updated {formatAge(stats.pushedAt)}
+        </span>
+      ) : null}
+      {stats.archived ? <span className={classes.Archived}>archived</span> : null}
+    </span>
+  );
+};
+
+export default RepoStats;
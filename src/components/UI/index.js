@@ -8,3 +8,6 @@ export { default as Card } from './Card/Card';
 export { default as Tabs } from './Tabs/Tabs';
 export { default as Spinner } from './Spinner/Spinner';
 export { default as Backdrop } from './Backdrop/Backdrop';
+export { default as Highlight } from './Highlight/Highlight';
+export { default as RepoStats } from './RepoStats/RepoStats';
+export { default as NewBadge } from './NewBadge/NewBadge';
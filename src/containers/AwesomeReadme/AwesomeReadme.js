@@ -1,4 +1,5 @@
 import React, { Component } from 'react';
+import { Link } from 'react-router-dom';
 import classes from './AwesomeReadme.module.css';
 import TimeAgo from 'timeago-react';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
@@ -6,39 +7,121 @@ import {
   faStar,
   faClock,
   faLongArrowAltUp,
+  faLongArrowAltLeft,
   faTimes,
+  faSearch,
+  faFileAlt,
+  faTable,
+  faColumns,
+  faHeartbeat,
 } from '@fortawesome/free-solid-svg-icons';
 import axios from 'axios';
-import DOMPurify from 'dompurify';
-
-// Simple lightweight markdown -> HTML fallback for raw README parsing
-const simpleMarkdownToHtml = (md) => {
-  if (!md) return '';
-  // Code fences
-  let html = md.replace(/```([\s\S]*?)```/g, (m, code) => {
-    return `<pre><code>${escapeHtml(code)}</code></pre>`;
-  });
-  // Headings
-  for (let i = 6; i >= 1; i--) {
-    const hashes = '#'.repeat(i);
-    const re = new RegExp(`^${hashes} (.*)$`, 'gm');
-    html = html.replace(re, `<h${i}>$1</h${i}>`);
+import readmeService, { slugify } from '../../services/readmeService';
+import readmeCacheService from '../../services/readmeCacheService';
+import contentIndexService from '../../services/contentIndexService';
+import repoStatsService from '../../services/repoStatsService';
+import listChangesService, { hasChanges } from '../../services/listChangesService';
+import listTrailService from '../../services/listTrailService';
+import readingProgressService from '../../services/readingProgressService';
+import annotationService from '../../services/annotationService';
+import linkCheckService, { LINK_STATUS } from '../../services/linkCheckService';
+import exportService from '../../services/exportService';
+import { buildPattern, clearHighlights, highlightMatches } from '../../services/findService';
+import { FindBar } from '../../components/FindBar';
+import { EntryTable } from '../../components/EntryTable';
+import { ReadmeToc } from '../../components/ReadmeToc';
+import { AddEntryModal } from '../../components/Collections';
+import { AnnotationEditor } from '../../components/AnnotationEditor';
+import storageService from '../../services/storageService';
+import { parseHtml } from '../../services/readmeParser';
+
+// Longer change lists are cut off; the in-place highlights still cover every new entry
+const MAX_CHANGES_SHOWN = 100;
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+// A section counts as in view once its heading is this close to the top (below the sticky bar)
+const SCROLLSPY_OFFSET_PX = 120;
+// Reading progress is written at most this often while scrolling
+const PROGRESS_SAVE_DELAY_MS = 1000;
+
+// Router params arrive decoded or not depending on the path; decoding twice must not throw
+const safeDecode = (text) => {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return text;
+  }
+};
+
+// Section id of a heading: its own id (generated) or that of the anchor GitHub renders inside it
+const getHeadingId = (heading) => {
+  const anchor = heading.querySelector('[id]');
+  return heading.id || (anchor ? anchor.id : null);
+};
+
+// URL a README link had before it was routed inside the app
+const getLinkUrl = link => link.getAttribute('data-original-href') || link.getAttribute('href');
+
+// Marks of the user's highlights, kept apart from the marks of the find bar
+const ANNOTATION_ATTR = 'data-annotation';
+
+// The leading link of a list item: its first link with text that isn't in a nested item
+const getItemLink = li => Array.from(li.querySelectorAll('a[href]'))
+  .find(el => el.closest('li') === li && el.textContent.trim());
+
+// Badge shown after an entry's link for each link check status
+const LINK_STATUS_BADGES = {
+  [LINK_STATUS.OK]: { label: '✓', className: classes.LinkOk },
+  [LINK_STATUS.REDIRECTED]: { label: '↪', className: classes.LinkRedirected },
+  [LINK_STATUS.BROKEN]: { label: '✗', className: classes.LinkBroken },
+  [LINK_STATUS.ARCHIVED]: { label: 'archived', className: classes.LinkArchived },
+  [LINK_STATUS.UNKNOWN]: { label: '?', className: classes.LinkUnknown },
+};
+
+const describeLinkResult = (result) => {
+  switch (result.status) {
+    case LINK_STATUS.OK:
+      return 'Link OK';
+    case LINK_STATUS.REDIRECTED:
+      return `Redirects to ${result.finalUrl}`;
+    case LINK_STATUS.ARCHIVED:
+      return 'Archived repository';
+    case LINK_STATUS.BROKEN:
+      return `Broken link${result.httpStatus ? ` (HTTP ${result.httpStatus})` : ''}${result.error ? `: ${result.error}` : ''}`;
+    default:
+      return `Could not be checked${result.error ? `: ${result.error}` : ''}`;
   }
-  // Links
-  html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
-  // Inline code
-  html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-  // Basic paragraphs / line breaks
-  html = html.split(/\n\n+/).map(p => `<p>${p.replace(/\n/g, '<br/>')}</p>`).join('');
-  return html;
 };
 
-const escapeHtml = (str) => {
-  return (str || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
+// Show (or clear, without a result) the link check status of an entry link
+const markLinkStatus = (link, result) => {
+  const previous = link.parentNode.querySelector(':scope > [data-link-status]');
+  if (previous) previous.remove();
+  const badge = result && LINK_STATUS_BADGES[result.status];
+  if (!badge) return;
+
+  const el = document.createElement('span');
+  el.className = `${classes.LinkStatus} ${badge.className}`;
+  el.textContent = badge.label;
+  el.title = describeLinkResult(result);
+  el.setAttribute('data-link-status', result.status);
+  link.insertAdjacentElement('afterend', el);
 };
+
+// Saved highlights match across line breaks and extra spaces in the rendered text
+const buildHighlightPattern = highlights => new RegExp(
+  highlights.map(text => buildPattern(text).source.replace(/ +/g, '\\s+')).join('|'),
+  'gi'
+);
+
+/**
+ * Last known repo info ({ stars, updateAt, defaultBranch }) saved by earlier visits
+ */
+const getCachedRepoInfo = ({ user, repo }) => {
+  const repoInfo = JSON.parse(localStorage.getItem('repoInfo')) || {};
+  return repoInfo[`${user}/${repo}`] || {};
+};
+
 class AwesomeReadme extends Component {
   state = {
     _html: `<br/><b># Waiting for content loading...</b>`,
@@ -49,41 +132,108 @@ class AwesomeReadme extends Component {
     repo: '',
     showTOC: false,
     showReadmeInfo: true,
+    cachedAt: null, // set when showing a saved copy that could not be refreshed
+    showFind: false,
+    activeHeaderId: null, // heading of the current find match, highlighted in the TOC
+    currentSectionId: null, // heading of the section scrolled into view
+    progress: null, // { read, total } sections of the README
+    resumedAt: null, // title of the section reading resumed at
+    viewMode: storageService.getPreferences().readmeView === 'table' ? 'table' : 'readme',
+    // Relative links resolve against GitHub's HEAD ref until the real default branch is known
+    defaultBranch: getCachedRepoInfo(this.props.match.params).defaultBranch || null,
+    changes: null, // entries added/removed/moved since the last visit
+    showChanges: false,
+    trail: [], // lists followed to reach this one, ending with it
+    copiedSection: null, // id of the section whose link was just copied
+    collectEntry: null, // entry being added to a collection
+    annotateEntry: null, // entry whose note is being edited
+    selectionAction: null, // { url, text, top, left } of text selected inside an entry
+    linkCheck: null, // { running, done, total, report } of the list's link check
   };
 
-  shouldComponentUpdate(_, nextState) {
+  contentRef = React.createRef();
+
+  shouldComponentUpdate(nextProps, nextState) {
     return (
+      this.props.subjectsArray !== nextProps.subjectsArray ||
+      this.props.match.params.slug !== nextProps.match.params.slug ||
+      this.state.copiedSection !== nextState.copiedSection ||
+      this.state.collectEntry !== nextState.collectEntry ||
+      this.state.annotateEntry !== nextState.annotateEntry ||
+      this.state.selectionAction !== nextState.selectionAction ||
+      this.state.linkCheck !== nextState.linkCheck ||
       (this.state.user !== this.props.match.params.user &&
         this.state.repo !== this.props.match.params.repo) ||
       this.state._html !== nextState._html ||
       this.state.headers.length !== nextState.headers.length ||
-      this.state.showTOC !== nextState.showTOC
+      this.state.showTOC !== nextState.showTOC ||
+      this.state.cachedAt !== nextState.cachedAt ||
+      this.state.showFind !== nextState.showFind ||
+      this.state.activeHeaderId !== nextState.activeHeaderId ||
+      this.state.currentSectionId !== nextState.currentSectionId ||
+      this.state.progress !== nextState.progress ||
+      this.state.resumedAt !== nextState.resumedAt ||
+      this.state.viewMode !== nextState.viewMode ||
+      this.state.defaultBranch !== nextState.defaultBranch ||
+      this.state.changes !== nextState.changes ||
+      this.state.showChanges !== nextState.showChanges ||
+      this.state.trail !== nextState.trail
     );
   }
 
   componentDidMount() {
     const user = this.props.match.params.user;
     const repo = this.props.match.params.repo;
+    const path = this.props.match.params.path || null;
     const infoLastMod = JSON.parse(localStorage.getItem('infoLastMod'));
+    window.addEventListener('keydown', this.findShortcutHandler);
+    window.addEventListener('annotationsUpdated', this.annotationsUpdatedHandler);
+    this.setState({ trail: listTrailService.enter(`${user}/${repo}`) });
 
-    axios
-      .get(`https://api.awesomelists.top/readme/${user}/${repo}`)
-      .then((res) => {
-        let _html = this.fixImage({
-          user,
-          repo,
-          res,
-        });
+    // Progress is tracked for the README only, not for other files of the repo
+    if (!path) {
+      this.savedProgress = readingProgressService.get(`${user}/${repo}`);
+      this.sectionsRead = new Set(this.savedProgress ? this.savedProgress.sectionsRead : []);
+    }
+    this.startScrollSpy();
+    if (!path) {
+      linkCheckService.load().then(() => {
+        this.linkResultsLoaded = true;
+        this.applyLinkStatus(true);
+      });
+    }
+
+    // Show the saved copy at once, then whatever the network returns if it differs
+    readmeCacheService
+      .load(user, repo, (record, { fromCache }) => {
+        this.sourceHtml = record.html;
+        let _html = this.resolveUrls(record.html);
 
         this.setState({
           _html: _html,
+          headers: [],
           user: user,
           repo: repo,
           showReadmeInfo: true,
         });
+
+        // Only the README itself holds the list's entries; index the links as published
+        if (!fromCache && !path && contentIndexService.isEnabled()) {
+          contentIndexService.indexHtml({ user, repo }, record.html).catch(() => {});
+        }
+      }, { path })
+      .then(({ record, offline }) => {
+        this.setState({ cachedAt: offline ? record.fetchedAt : null });
+
+        // Only a fresh README counts as a visit
+        if (!offline && !path) {
+          listChangesService
+            .visit(`${user}/${repo}`, record.html)
+            .then(changes => this.setState({ changes: hasChanges(changes) ? changes : null }))
+            .catch(() => {});
+        }
       })
-      .catch(async (err) => {
-        // If API fails due to CORS or being blocked (err.response undefined) try fallback to raw GitHub README
+      .catch((err) => {
         const status = err?.response?.status;
 
         const setNetworkError = (message) => {
@@ -94,32 +244,7 @@ class AwesomeReadme extends Component {
         };
 
         if (!status) {
-          // Likely CORS or network blocked (ERR_BLOCKED_BY_CLIENT). Try raw.githubusercontent.com fallbacks
-          const branches = ['master', 'main'];
-          let fallbackHtml = null;
-
-          for (let branch of branches) {
-            try {
-              const rawUrl = `https://raw.githubusercontent.com/${user}/${repo}/${branch}/README.md`;
-              const resRaw = await axios.get(rawUrl, { responseType: 'text' });
-              if (resRaw && resRaw.data) {
-                // Convert markdown to HTML and sanitize
-                const mdHtml = simpleMarkdownToHtml(resRaw.data || '');
-                const clean = DOMPurify.sanitize(mdHtml);
-                fallbackHtml = this.fixImage({ user, repo, res: { data: clean } });
-                break;
-              }
-            } catch (rawErr) {
-              // continue to next branch
-            }
-          }
-
-          if (fallbackHtml) {
-            this.setState({ _html: fallbackHtml, user, repo, showReadmeInfo: true });
-            return;
-          }
-
-          // If still failed, provide a helpful message for blocked requests
+          // Raw GitHub fallback failed as well, provide a helpful message for blocked requests
           const blockedMsg = err.message && err.message.includes('ERR_BLOCKED_BY_CLIENT')
             ? 'Request blocked by browser extension (adblocker). Try disabling extensions for this site.'
             : err.message || 'Network error (CORS or blocked request)';
@@ -175,10 +300,12 @@ class AwesomeReadme extends Component {
           })
         );
 
+        const defaultBranch = res.data.default_branch || null;
         this.setState({
           stars: res.data.stargazers_count,
           updateAt: res.data.pushed_at,
         });
+        this.setDefaultBranch(defaultBranch);
 
         localStorage.setItem(
           'repoInfo',
@@ -187,24 +314,53 @@ class AwesomeReadme extends Component {
             [`${user}/${repo}`]: {
               stars: res.data.stargazers_count,
               updateAt: res.data.pushed_at,
+              defaultBranch,
             },
           })
         );
+
+        // Reuse the response for search ranking
+        repoStatsService.save(`${user}/${repo}`, {
+          stars: res.data.stargazers_count,
+          pushedAt: res.data.pushed_at,
+          archived: res.data.archived,
+        });
       })
       .catch((err) => {
-        if (err.response.status === 304) {
-          this.setState(
-            JSON.parse(localStorage.getItem('repoInfo'))[`${user}/${repo}`]
-          );
+        // Not modified, or offline: fall back to the last known info
+        if (!err.response || err.response.status === 304) {
+          const { stars, updateAt, defaultBranch } = getCachedRepoInfo({ user, repo });
+          if (updateAt) this.setState({ stars, updateAt });
+          this.setDefaultBranch(defaultBranch);
         }
       });
   }
 
-  componentDidUpdate() {
-    this.makeAnchor();
-    if (document.body.childNodes.length) {
-      const headers = this.walk(document.body.childNodes, []);
-      if (this.state.headers.length === 0 && headers.length !== 0) {
+  componentWillUnmount() {
+    window.removeEventListener('keydown', this.findShortcutHandler);
+    window.removeEventListener('annotationsUpdated', this.annotationsUpdatedHandler);
+    if (this.linkCheckController) this.linkCheckController.abort();
+    this.linkCheckController = null;
+    clearTimeout(this.copiedTimer);
+    this.stopScrollSpy();
+    this.saveProgress();
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    // Known lists arrive after a deep link; route links to them once they do
+    if (this.props.subjectsArray !== prevProps.subjectsArray && this.sourceHtml) {
+      const _html = this.resolveUrls(this.sourceHtml);
+      if (_html !== this.state._html) this.setState({ _html });
+    }
+
+    this.decorateContent();
+    this.applyAnnotations();
+    this.applyLinkStatus();
+    this.scrollToLinkedSection();
+    this.resumeReading();
+    if (this.contentRef.current && this.state.headers.length === 0) {
+      const headers = this.walk(Array.from(this.contentRef.current.childNodes), []);
+      if (headers.length !== 0) {
         this.setState({
           headers: headers,
         });
@@ -212,34 +368,601 @@ class AwesomeReadme extends Component {
     }
   }
 
-  fixImage = ({ user, repo, res }) => {
-    let githubImageUrl = `https://raw.githubusercontent.com/${user}/${repo}/master`;
-    const _html = res.data
-      .replace(/<img [^>]*src=['"]([^'"]+)[^>]*>/gi, (match, capture) => {
-        if (!capture.includes('https')) {
-          githubImageUrl =
-            capture[0] === '/' ? githubImageUrl : githubImageUrl + '/';
-          return match.replace(capture, `${githubImageUrl}${capture}`);
-        } else {
-          return match;
-        }
-      })
-      .replace(/user-content-/g, '');
-    return _html;
+  // The passes below walk the whole README, so they only rerun when the content or what they
+  // depend on changed, not on unrelated updates such as the progress of a link check
+  decorateContent = () => {
+    const key = [
+      this.contentRef.current,
+      this.state._html,
+      this.props.location.pathname,
+      this.state.changes,
+      this.state.copiedSection,
+    ];
+    if (this.decoratedKey && key.every((value, idx) => value === this.decoratedKey[idx])) return;
+    this.decoratedKey = key;
+
+    this.makeAnchor();
+    this.highlightNewEntries();
+    this.decorateHeadings();
+    this.decorateEntries();
+  };
+
+  // Rewrite relative images and links against the default branch and the file being shown,
+  // keep links to other awesome lists inside the app and make every heading linkable
+  resolveUrls = (html, defaultBranch = this.state.defaultBranch) => {
+    const { user, repo, path } = this.props.match.params;
+    const resolved = readmeService.resolveRelativeUrls(html, {
+      user,
+      repo,
+      branch: defaultBranch,
+      path: path || '',
+    });
+    const routed = readmeService.routeListLinks(resolved, this.isListRepo);
+    return readmeService.addHeadingIds(routed).replace(/user-content-/g, '');
+  };
+
+  // Lists the app knows about, by lowercased repo, rebuilt when the lists change
+  getKnownLists = () => {
+    const subjectsArray = this.props.subjectsArray || [];
+    if (this.knownListsFor !== subjectsArray) {
+      this.knownListsFor = subjectsArray;
+      this.knownLists = new Map(subjectsArray.map(list => [list.repo.toLowerCase(), list]));
+    }
+    return this.knownLists;
+  };
+
+  isListRepo = repo => (
+    this.getKnownLists().has(repo.toLowerCase()) || /awesome/i.test(repo.split('/')[1])
+  );
+
+  getListName = (repo) => {
+    const list = this.getKnownLists().get(repo.toLowerCase());
+    return list ? list.name : repo.split('/')[1];
+  };
+
+  // Links to other lists navigate by themselves; only the trail needs recording
+  contentClickHandler = (e) => {
+    const copyButton = e.target.closest && e.target.closest('button[data-copy-section]');
+    if (copyButton) {
+      this.copySectionLink(copyButton.getAttribute('data-copy-section'));
+      return;
+    }
+
+    const addButton = e.target.closest && e.target.closest('button[data-add-entry]');
+    if (addButton) {
+      this.collectEntryHandler(addButton.getAttribute('data-add-entry'));
+      return;
+    }
+
+    const noteTarget = e.target.closest && e.target.closest('[data-annotate-entry]');
+    if (noteTarget) {
+      this.annotateEntryHandler(noteTarget.getAttribute('data-annotate-entry'));
+      return;
+    }
+
+    const link = e.target.closest && e.target.closest('a[data-list-link]');
+    if (!link) return;
+    const { user, repo } = this.props.match.params;
+    listTrailService.follow(`${user}/${repo}`, link.getAttribute('data-list-link'));
+  };
+
+  renderTrail = () => {
+    const { trail } = this.state;
+    const previous = trail[trail.length - 2];
+    return (
+      <nav className={classes.Breadcrumbs} aria-label='Lists followed'>
+        <Link className={classes.TrailBack} to={`/${previous}`} title={`Back to ${this.getListName(previous)}`}>
+          <FontAwesomeIcon icon={faLongArrowAltLeft} /> Back
+        </Link>
+        {trail.map((repo, idx) => (
+          <React.Fragment key={repo}>
+            {idx > 0 && <span className={classes.TrailSeparator}>›</span>}
+            {idx === trail.length - 1
+              ? <strong aria-current='page'>{this.getListName(repo)}</strong>
+              : <Link to={`/${repo}`}>{this.getListName(repo)}</Link>}
+          </React.Fragment>
+        ))}
+      </nav>
+    );
+  };
+
+  // Re-resolve the shown content once the repo's default branch is known
+  setDefaultBranch = (defaultBranch) => {
+    if (!defaultBranch || defaultBranch === this.state.defaultBranch) return;
+    this.setState({ defaultBranch });
+    if (this.sourceHtml) {
+      this.setState({ _html: this.resolveUrls(this.sourceHtml, defaultBranch) });
+    }
+  };
+
+  // Mark the list items of entries added since the last visit
+  highlightNewEntries = () => {
+    const root = this.contentRef.current;
+    if (!root || !this.state.changes || this.state.changes.added.length === 0) return;
+
+    const urls = new Set(this.state.changes.added.map(entry => entry.url));
+    root.querySelectorAll('a[href]').forEach((link) => {
+      if (urls.has(getLinkUrl(link))) {
+        (link.closest('li') || link).classList.add(classes.NewEntry);
+      }
+    });
+  };
+
+  scrollToEntry = (url) => {
+    if (this.state.viewMode === 'table') {
+      this.setState({ viewMode: 'readme' }, () => this.scrollToEntry(url));
+      return;
+    }
+    const link = Array.from(this.contentRef.current.querySelectorAll('a[href]'))
+      .find(el => getLinkUrl(el) === url);
+    if (link) link.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  toggleChangesHandler = () => {
+    this.setState(prev => ({ showChanges: !prev.showChanges }));
+  };
+
+  renderMore = list => (
+    list.length > MAX_CHANGES_SHOWN && <small>…and {list.length - MAX_CHANGES_SHOWN} more</small>
+  );
+
+  renderChanges = () => {
+    const { added, removed, moved, since } = this.state.changes;
+    const summary = [
+      added.length > 0 && `${added.length} new`,
+      removed.length > 0 && `${removed.length} removed`,
+      moved.length > 0 && `${moved.length} moved`,
+    ].filter(Boolean).join(', ');
+
+    return (
+      <>
+        <div className={classes.ChangesNotice}>
+          Since your last visit <TimeAgo datetime={since} />: {summary}{' '}
+          <span className={classes.TOCButton} onClick={this.toggleChangesHandler}>
+            {this.state.showChanges ? 'Hide' : 'Details'}
+          </span>
+        </div>
+        {this.state.showChanges && (
+          <div className={classes.ChangesPanel}>
+            {added.length > 0 && (
+              <div>
+                <strong>New</strong>
+                <ul>
+                  {added.slice(0, MAX_CHANGES_SHOWN).map(entry => (
+                    <li key={entry.url}>
+                      <span className={classes.ChangeLink} onClick={() => this.scrollToEntry(entry.url)}>
+                        {entry.name}
+                      </span>
+                      {entry.section && <small> · {entry.section}</small>}
+                    </li>
+                  ))}
+                </ul>
+                {this.renderMore(added)}
+              </div>
+            )}
+            {removed.length > 0 && (
+              <div>
+                <strong>Removed</strong>
+                <ul>
+                  {removed.slice(0, MAX_CHANGES_SHOWN).map(entry => (
+                    <li key={entry.url}>
+                      <a className={classes.Removed} href={entry.url} target='_blank' rel='noreferrer'>
+                        {entry.name}
+                      </a>
+                      {entry.section && <small> · {entry.section}</small>}
+                    </li>
+                  ))}
+                </ul>
+                {this.renderMore(removed)}
+              </div>
+            )}
+            {moved.length > 0 && (
+              <div>
+                <strong>Moved</strong>
+                <ul>
+                  {moved.slice(0, MAX_CHANGES_SHOWN).map(entry => (
+                    <li key={entry.url}>
+                      <span className={classes.ChangeLink} onClick={() => this.scrollToEntry(entry.url)}>
+                        {entry.name}
+                      </span>
+                      <small> · {entry.from || 'Top'} → {entry.to || 'Top'}</small>
+                    </li>
+                  ))}
+                </ul>
+                {this.renderMore(moved)}
+              </div>
+            )}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  // Route of a README section, or null for other Markdown files (their sections aren't routable)
+  getSectionPath = (id) => {
+    const { user, repo, path } = this.props.match.params;
+    return path ? null : `/${user}/${repo}/section/${encodeURIComponent(id)}`;
   };
 
   makeAnchor = () => {
-    const links = document.querySelectorAll('a:not(.menu-item)[href^="#"]');
+    // In-page anchors only; "#/..." links are app routes (e.g. other Markdown files of the repo)
+    const links = document.querySelectorAll('a:not(.menu-item)[href^="#"]:not([href^="#/"])');
 
     if (links.length > 0) {
       for (let link of links) {
-        let id = link.href.replace(`${document.location.origin}/#`, '');
-        link.href = `/#/${this.props.match.params.user}/${this.props.match.params.repo}`;
-        link.addEventListener('click', () => {
-          this.headersOnClick(id);
-        });
+        let id = safeDecode(link.getAttribute('href').slice(1));
+        const sectionPath = this.getSectionPath(id);
+        if (sectionPath) {
+          // Navigating to the section route scrolls to it (see scrollToLinkedSection)
+          link.setAttribute('href', `#${sectionPath}`);
+        } else {
+          link.setAttribute('href', `#${this.props.location.pathname}`);
+          link.addEventListener('click', () => {
+            this.headersOnClick(id);
+          });
+        }
+      }
+    }
+  };
+
+  // Id of the element a section slug refers to; falls back to matching heading text
+  findSectionId = (slug) => {
+    const root = this.contentRef.current;
+    const target = safeDecode(slug);
+    if (!root) return null;
+    if (document.getElementById(target)) return target;
+
+    const heading = Array.from(root.querySelectorAll(HEADING_SELECTOR))
+      .find(el => slugify(el.textContent) === slugify(target));
+    return heading ? getHeadingId(heading) : null;
+  };
+
+  // Scroll to the section in the URL once its heading has been rendered
+  scrollToLinkedSection = () => {
+    const { slug } = this.props.match.params;
+    if (!slug || this.scrolledSlug === slug) return;
+    const id = this.findSectionId(slug);
+    if (id) {
+      this.scrolledSlug = slug;
+      this.headersOnClick(id);
+    }
+  };
+
+  goToSection = (id) => {
+    const sectionPath = this.getSectionPath(id);
+    if (!sectionPath || this.props.match.params.slug === id) {
+      this.headersOnClick(id);
+      return;
+    }
+    this.props.history.push(sectionPath);
+  };
+
+  copySectionLink = (id) => {
+    const url = `${window.location.href.split('#')[0]}#${this.getSectionPath(id)}`;
+    const done = () => {
+      clearTimeout(this.copiedTimer);
+      this.setState({ copiedSection: id });
+      this.copiedTimer = setTimeout(() => this.setState({ copiedSection: null }), 2000);
+    };
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).then(done).catch(() => window.prompt('Copy link to section:', url));
+    } else {
+      window.prompt('Copy link to section:', url);
+    }
+  };
+
+  // Add a "copy link" button to every README heading that has an id
+  decorateHeadings = () => {
+    const root = this.contentRef.current;
+    if (!root || this.props.match.params.path) return;
+
+    root.querySelectorAll(HEADING_SELECTOR).forEach((heading) => {
+      const id = getHeadingId(heading);
+      if (!id) return;
+
+      let button = heading.querySelector('button[data-copy-section]');
+      if (!button) {
+        button = document.createElement('button');
+        button.type = 'button';
+        button.className = classes.CopySection;
+        button.setAttribute('data-copy-section', id);
+        button.setAttribute('aria-label', 'Copy link to section');
+        button.title = 'Copy link to section';
+        heading.appendChild(button);
+      }
+      button.classList.toggle(classes.Copied, this.state.copiedSection === id);
+    });
+  };
+
+  // Entries of the README by URL, for the "add to collection" buttons
+  getEntriesByUrl = () => {
+    const entries = this.getEntries();
+    if (this.entriesByUrlFor !== entries) {
+      this.entriesByUrlFor = entries;
+      this.entriesByUrl = new Map(entries
+        .filter(entry => /^https?:\/\//i.test(entry.url))
+        .map(entry => [entry.url, entry]));
+    }
+    return this.entriesByUrl;
+  };
+
+  // Add an "add to collection" button after the leading link of every entry
+  decorateEntries = () => {
+    const root = this.contentRef.current;
+    if (!root) return;
+
+    const entries = this.getEntriesByUrl();
+    const annotatable = !this.props.match.params.path;
+    root.querySelectorAll('li').forEach((li) => {
+      const link = getItemLink(li);
+      if (!link || !entries.has(getLinkUrl(link))) return;
+      if (link.parentNode.querySelector(':scope > button[data-add-entry]')) return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = classes.AddEntry;
+      button.setAttribute('data-add-entry', getLinkUrl(link));
+      button.setAttribute('aria-label', 'Add to collection');
+      button.title = 'Add to collection';
+      link.insertAdjacentElement('afterend', button);
+
+      // Notes belong to the list, so they are only offered on its README
+      if (annotatable) {
+        const noteButton = document.createElement('button');
+        noteButton.type = 'button';
+        noteButton.className = classes.AnnotateEntry;
+        noteButton.setAttribute('data-annotate-entry', getLinkUrl(link));
+        noteButton.setAttribute('aria-label', 'Add a note');
+        noteButton.title = 'Add a note';
+        button.insertAdjacentElement('afterend', noteButton);
+      }
+    });
+  };
+
+  getListRepo = () => `${this.props.match.params.user}/${this.props.match.params.repo}`;
+
+  // The parts of a parsed entry an annotation keeps
+  getAnnotationEntry = (url) => {
+    const entry = this.getEntriesByUrl().get(url);
+    return entry && {
+      url: entry.url,
+      name: entry.name,
+      section: entry.section,
+      anchor: entry.anchor,
+    };
+  };
+
+  // Render notes and highlights of the list's entries; only needed again when the README DOM
+  // was replaced or the annotations changed
+  applyAnnotations = (force = false) => {
+    const root = this.contentRef.current;
+    if (!root || this.props.match.params.path) return;
+    if (!force && this.annotatedHtml === this.state._html) return;
+    this.annotatedHtml = this.state._html;
+
+    clearHighlights(root, ANNOTATION_ATTR);
+    root.querySelectorAll('[data-entry-note]').forEach(el => el.remove());
+
+    const annotations = annotationService.getForList(this.getListRepo());
+    if (Object.keys(annotations).length === 0) return;
+
+    root.querySelectorAll('li').forEach((li) => {
+      const link = getItemLink(li);
+      const annotation = link && annotations[getLinkUrl(link)];
+      if (!annotation) return;
+
+      if (annotation.highlights.length) {
+        // Only the entry's own text; nested entries carry their own annotations
+        highlightMatches(
+          li,
+          buildHighlightPattern(annotation.highlights),
+          classes.UserHighlight,
+          ANNOTATION_ATTR,
+          'ul, ol'
+        );
       }
+      if (annotation.note) {
+        const note = document.createElement('div');
+        note.className = classes.EntryNote;
+        note.textContent = annotation.note;
+        note.title = 'Edit note';
+        note.setAttribute('data-entry-note', '');
+        note.setAttribute('data-annotate-entry', getLinkUrl(link));
+        // Before the entry's sub-list, so the note stays next to the entry itself
+        const subList = Array.from(li.children).find(el => /^(UL|OL)$/.test(el.tagName));
+        li.insertBefore(note, subList || null);
+      }
+    });
+  };
+
+  // Leading links of the README's entries by URL, collected again when the DOM is replaced
+  getEntryLinks = () => {
+    const root = this.contentRef.current;
+    if (this.entryLinksHtml !== this.state._html && root) {
+      this.entryLinksHtml = this.state._html;
+      const entries = this.getEntriesByUrl();
+      this.entryLinks = new Map();
+      root.querySelectorAll('li').forEach((li) => {
+        const link = getItemLink(li);
+        const url = link && getLinkUrl(link);
+        if (!url || !entries.has(url)) return;
+        if (!this.entryLinks.has(url)) this.entryLinks.set(url, []);
+        this.entryLinks.get(url).push(link);
+      });
+    }
+    return this.entryLinks || new Map();
+  };
+
+  // Show cached link check results on the entries and summarize them
+  applyLinkStatus = (force = false) => {
+    if (!this.linkResultsLoaded || !this.contentRef.current || this.props.match.params.path) return;
+    if (!force && this.linkStatusHtml === this.state._html) return;
+    this.linkStatusHtml = this.state._html;
+
+    this.getEntryLinks().forEach((links, url) => {
+      const result = linkCheckService.getResult(url);
+      links.forEach(link => markLinkStatus(link, result));
+    });
+
+    if (this.state.linkCheck && this.state.linkCheck.running) return;
+    const report = linkCheckService.buildReport(this.getListRepo(), this.getEntries());
+    const checked = report.links.some(link => link.status);
+    this.setState({ linkCheck: checked ? { running: false, done: 0, total: 0, report } : null });
+  };
+
+  checkLinksHandler = (force = false) => {
+    if (this.linkCheckController) return;
+    const controller = new AbortController();
+    this.linkCheckController = controller;
+    this.setState({ linkCheck: { running: true, done: 0, total: 0, report: null } });
+
+    linkCheckService
+      .checkList(this.getListRepo(), this.getEntries(), {
+        force,
+        signal: controller.signal,
+        onProgress: (progress, result) => {
+          if (this.linkCheckController !== controller) return;
+          if (result) {
+            (this.getEntryLinks().get(result.url) || []).forEach(link => markLinkStatus(link, result));
+          }
+          this.setState({ linkCheck: { running: true, done: progress.done, total: progress.total, report: null } });
+        },
+      })
+      .then((report) => {
+        // Unmounted in the meantime
+        if (this.linkCheckController !== controller) return;
+        this.linkCheckController = null;
+        this.setState({ linkCheck: { running: false, done: 0, total: 0, report } });
+      });
+  };
+
+  // The check stops after the links in flight; those already checked stay in the report
+  cancelLinkCheckHandler = () => {
+    if (this.linkCheckController) this.linkCheckController.abort();
+  };
+
+  renderLinkCheck = () => {
+    const { running, done, total, report } = this.state.linkCheck;
+    if (running) {
+      return (
+        <div className={classes.LinkCheckNotice}>
+          Checking links… {done} of {total}{' '}
+          <span className={classes.TOCButton} onClick={this.cancelLinkCheckHandler}>
+            Cancel
+          </span>
+        </div>
+      );
+    }
+
+    const { counts } = report;
+    const summary = [
+      [counts.ok, 'OK'],
+      [counts.redirected, 'redirected'],
+      [counts.broken, 'broken'],
+      [counts.archived, 'archived'],
+      [counts.unknown, 'undetermined'],
+      [counts.unchecked, 'unchecked'],
+    ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`).join(', ');
+
+    return (
+      <div className={classes.LinkCheckNotice}>
+        Links: {summary} ·{' '}
+        <span className={classes.TOCButton} onClick={() => this.checkLinksHandler(true)}>
+          Recheck
+        </span>
+        {' '}· Export report:{' '}
+        {['Markdown', 'CSV', 'JSON'].map(format => (
+          <span
+            key={format}
+            className={classes.TOCButton}
+            onClick={() => exportService.downloadLinkReport(report, format)}
+          >
+            {format}
+          </span>
+        ))}
+      </div>
+    );
+  };
+
+  annotationsUpdatedHandler = () => {
+    this.applyAnnotations(true);
+  };
+
+  annotateEntryHandler = (url) => {
+    const annotateEntry = this.getAnnotationEntry(url);
+    if (annotateEntry) this.setState({ annotateEntry, selectionAction: null });
+  };
+
+  closeAnnotateEntryHandler = () => {
+    this.setState({ annotateEntry: null });
+  };
+
+  // Offer to highlight text selected inside a single entry
+  contentMouseUpHandler = () => {
+    const selection = window.getSelection();
+    const text = selection && selection.rangeCount ? selection.toString().replace(/\s+/g, ' ').trim() : '';
+    const range = text && selection.getRangeAt(0);
+    const container = range && range.commonAncestorContainer;
+    const element = container && (container.nodeType === 1 ? container : container.parentElement);
+    const li = element && element.closest('li');
+    const link = li && this.contentRef.current.contains(li) && getItemLink(li);
+
+    if (this.props.match.params.path || !link || !this.getEntriesByUrl().has(getLinkUrl(link))) {
+      if (this.state.selectionAction) this.setState({ selectionAction: null });
+      return;
     }
+
+    const rect = range.getBoundingClientRect();
+    this.setState({
+      selectionAction: {
+        url: getLinkUrl(link),
+        text,
+        top: rect.top,
+        left: rect.left + rect.width / 2,
+      },
+    });
+  };
+
+  highlightSelectionHandler = () => {
+    const { url, text } = this.state.selectionAction;
+    annotationService.addHighlight(this.getListRepo(), this.getAnnotationEntry(url), text);
+    window.getSelection().removeAllRanges();
+    this.setState({ selectionAction: null });
+  };
+
+  renderSelectionAction = () => {
+    const { url, top, left } = this.state.selectionAction;
+    return (
+      <div className={classes.SelectionAction} style={{ top, left }}>
+        {/* mousedown would otherwise clear the selection before the click lands */}
+        <button type='button' onMouseDown={e => e.preventDefault()} onClick={this.highlightSelectionHandler}>
+          Highlight
+        </button>
+        <button type='button' onMouseDown={e => e.preventDefault()} onClick={() => this.annotateEntryHandler(url)}>
+          Note
+        </button>
+      </div>
+    );
+  };
+
+  collectEntryHandler = (url) => {
+    const entry = this.getEntriesByUrl().get(url);
+    if (!entry) return;
+    const { user, repo } = this.props.match.params;
+    this.setState({
+      collectEntry: {
+        url: entry.url,
+        title: entry.name,
+        description: entry.description,
+        source: `${user}/${repo}`,
+        section: entry.section,
+      },
+    });
+  };
+
+  closeCollectEntryHandler = () => {
+    this.setState({ collectEntry: null });
   };
 
   walk = (nodes, headers) => {
@@ -251,7 +974,7 @@ class AwesomeReadme extends Component {
 
       if (/h[1-6]/i.test(node.tagName) && node.innerText.trim() !== '') {
         headers.push({
-          id: node.childNodes[0].getAttribute ? node.childNodes[0].getAttribute('id') : node.childNodes[0],
+          id: getHeadingId(node),
           level: parseInt(node.tagName.replace('H', '')),
           title: node.innerText.trim(),
         });
@@ -261,6 +984,159 @@ class AwesomeReadme extends Component {
     return headers;
   };
 
+  // Ctrl/Cmd+F opens the find bar; pressing it again while the bar is open falls through to the browser
+  findShortcutHandler = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'f' && !this.state.showFind) {
+      e.preventDefault();
+      this.setState({ showFind: true });
+    }
+  };
+
+  toggleFindHandler = () => {
+    this.setState(prev => ({ showFind: !prev.showFind, activeHeaderId: null }));
+  };
+
+  getFindRoot = () => this.contentRef.current;
+
+  setViewModeHandler = (viewMode) => {
+    storageService.updatePreference('readmeView', viewMode);
+    this.setState({ viewMode, showFind: false, activeHeaderId: null });
+  };
+
+  // Parsed entries for the table view, re-parsed only when the README changes
+  getEntries = () => {
+    if (this.parsedHtml !== this.state._html) {
+      this.parsedHtml = this.state._html;
+      this.entries = parseHtml(this.state._html);
+    }
+    return this.entries;
+  };
+
+  findMatchChangeHandler = (heading) => {
+    this.setState({
+      activeHeaderId: heading ? getHeadingId(heading) : null,
+    });
+  };
+
+  getGithubUrl = () => {
+    const { user, repo, path } = this.props.match.params;
+    const base = `https://github.com/${user}/${repo}`;
+    return path ? `${base}/blob/${this.state.defaultBranch || 'HEAD'}/${path}` : base;
+  };
+
+  // Entries per section (by heading id), for the TOC counts
+  getSectionCounts = () => {
+    const entries = this.getEntries();
+    if (this.countedEntries !== entries) {
+      this.countedEntries = entries;
+      this.sectionCounts = {};
+      entries.forEach((entry) => {
+        if (entry.anchor) this.sectionCounts[entry.anchor] = (this.sectionCounts[entry.anchor] || 0) + 1;
+      });
+    }
+    return this.sectionCounts;
+  };
+
+  startScrollSpy = () => {
+    window.addEventListener('scroll', this.scrollSpyHandler, { passive: true });
+    this.updateCurrentSection();
+  };
+
+  stopScrollSpy = () => {
+    window.removeEventListener('scroll', this.scrollSpyHandler);
+    cancelAnimationFrame(this.spyFrame);
+    this.spyFrame = null;
+  };
+
+  scrollSpyHandler = () => {
+    // The selection toolbar is positioned against the viewport
+    if (this.state.selectionAction) this.setState({ selectionAction: null });
+    if (!this.spyFrame) this.spyFrame = requestAnimationFrame(this.updateCurrentSection);
+  };
+
+  // The last heading above the offset is the section being read
+  updateCurrentSection = () => {
+    this.spyFrame = null;
+    // Headings have no position while the README is hidden behind the table view
+    if (this.state.viewMode === 'table') return;
+
+    const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+    let currentSectionId = null;
+    let offset = 0;
+    const reached = [];
+    for (const header of this.state.headers) {
+      const el = header.id && document.getElementById(header.id);
+      if (!el) continue;
+      const { top } = el.getBoundingClientRect();
+      // At the bottom of the page the last sections can't scroll up any further
+      if (top > SCROLLSPY_OFFSET_PX && !(atBottom && top < window.innerHeight)) break;
+      if (top <= SCROLLSPY_OFFSET_PX) {
+        currentSectionId = header.id;
+        offset = -top;
+      }
+      reached.push(header.id);
+    }
+    if (currentSectionId !== this.state.currentSectionId) this.setState({ currentSectionId });
+    if (currentSectionId) this.trackProgress(currentSectionId, offset, atBottom ? reached : [currentSectionId]);
+  };
+
+  // Remember the reading position and mark sections as read
+  trackProgress = (sectionId, offset, readIds) => {
+    // Nothing is recorded before the saved position has been restored
+    if (!this.sectionsRead || !this.resumeDone) return;
+
+    readIds.forEach(id => this.sectionsRead.add(id));
+    this.position = { sectionId, offset };
+    this.updateProgressState();
+
+    clearTimeout(this.progressTimer);
+    this.progressTimer = setTimeout(this.saveProgress, PROGRESS_SAVE_DELAY_MS);
+  };
+
+  updateProgressState = () => {
+    const ids = this.state.headers.filter(header => header.id).map(header => header.id);
+    // Sections that no longer exist in the README don't count
+    const read = ids.filter(id => this.sectionsRead.has(id)).length;
+    const { progress } = this.state;
+    if (!progress || progress.read !== read || progress.total !== ids.length) {
+      this.setState({ progress: { read, total: ids.length } });
+    }
+  };
+
+  saveProgress = () => {
+    clearTimeout(this.progressTimer);
+    if (!this.position || !this.state.progress) return;
+    const { user, repo } = this.props.match.params;
+    const ids = new Set(this.state.headers.map(header => header.id));
+    readingProgressService.save(`${user}/${repo}`, {
+      ...this.position,
+      sectionsRead: Array.from(this.sectionsRead).filter(id => ids.has(id)),
+      totalSections: this.state.progress.total,
+    });
+  };
+
+  // Once the README's headings are known, scroll back to where the last visit stopped
+  resumeReading = () => {
+    if (this.resumeDone || !this.sectionsRead || this.state.headers.length === 0) return;
+    this.resumeDone = true;
+    this.updateProgressState();
+
+    // A section link takes precedence over the saved position
+    const saved = this.savedProgress;
+    if (this.props.match.params.slug || !saved || !saved.sectionId) return;
+    const el = document.getElementById(saved.sectionId);
+    if (!el) return;
+
+    window.scrollTo(0, el.getBoundingClientRect().top + window.scrollY + saved.offset);
+    const header = this.state.headers.find(item => item.id === saved.sectionId);
+    this.setState({ resumedAt: header ? header.title : saved.sectionId });
+  };
+
+  startOverHandler = () => {
+    this.setState({ resumedAt: null });
+    this.scrollToTop();
+  };
+
   showTocHandler = () => {
     this.setState({
       showTOC: !this.state.showTOC,
@@ -272,17 +1148,26 @@ class AwesomeReadme extends Component {
   };
 
   headersOnClick = (id) => {
-    document.getElementById(id).scrollIntoView({
+    if (this.state.viewMode === 'table') {
+      // Anchors only exist in the rendered README
+      this.setState({ viewMode: 'readme' }, () => this.headersOnClick(id));
+      return;
+    }
+
+    const target = document.getElementById(id);
+    if (!target) return;
+    // Ids sit on the heading itself or on an anchor inside it
+    const heading = target.closest(HEADING_SELECTOR) || target.parentNode;
+
+    target.scrollIntoView({
       behavior: 'smooth',
       block: 'center',
     });
 
-    document.getElementById(id).parentNode.style.backgroundColor = '#ff2e88';
+    heading.style.backgroundColor = '#ff2e88';
 
     setTimeout(() => {
-      if (document.getElementById(id)) {
-        document.getElementById(id).parentNode.style.backgroundColor = 'white';
-      }
+      heading.style.backgroundColor = '';
     }, 5000);
 
     this.setState({
@@ -290,59 +1175,16 @@ class AwesomeReadme extends Component {
     });
   };
 
-  buildBullet = (pattern, level) => {
-    return Array(level).fill(pattern).join('');
-  };
-
-  getFontSize = (level) => {
-    let size = '1.2rem';
-    let color = 'black';
-    switch (level) {
-      case 1:
-        size = '1.2rem';
-        color = 'black';
-        break;
-      case 2:
-        size = '1rem';
-        color = 'grey';
-        break;
-      case 3:
-        size = '0.8rem';
-        color = 'red';
-        break;
-      case 4:
-        size = '0.8rem';
-        color = 'red';
-        break;
-      case 5:
-        size = '0.8rem';
-        color = 'red';
-        break;
-      case 6:
-        size = '0.8rem';
-        color = 'red';
-        break;
-      default:
-        size = '0.8rem';
-        color = 'red';
-        break;
-    }
-
-    return {
-      size,
-      color,
-    };
-  };
-
   render() {
     return (
-      <div className={classes.AwesomeReadme}>
+      <div className={`${classes.AwesomeReadme} ${this.state.viewMode === 'table' ? classes.TableMode : ''}`}>
         <div id='anchor-top'></div>
+        {this.state.trail.length > 1 && this.renderTrail()}
         {this.state.showReadmeInfo && (
           <div className={classes.ReadmeInfo}>
             <a
               className={classes.ViewOnGithubBtn}
-              href={`https://github.com/${this.props.match.params.user}/${this.props.match.params.repo}`}
+              href={this.getGithubUrl()}
               target='_blank'
               rel='noreferrer'
             >
@@ -351,8 +1193,50 @@ class AwesomeReadme extends Component {
             <span className={classes.TOCButton} onClick={this.showTocHandler}>
               Content
             </span>
+            {this.state.viewMode === 'readme' && (
+              <span
+                className={classes.TOCButton}
+                onClick={this.toggleFindHandler}
+                title='Find in this list (Ctrl+F)'
+              >
+                <FontAwesomeIcon icon={faSearch} /> Find
+              </span>
+            )}
+            <Link
+              className={classes.TOCButton}
+              to={`/-/compare/${this.props.match.params.user}/${this.props.match.params.repo}`}
+              title='Compare this list with another one'
+            >
+              <FontAwesomeIcon icon={faColumns} /> Compare
+            </Link>
+            {!this.props.match.params.path && (
+              <span
+                className={classes.TOCButton}
+                onClick={() => this.checkLinksHandler()}
+                title='Check the links of every entry'
+              >
+                <FontAwesomeIcon icon={faHeartbeat} /> Check links
+              </span>
+            )}
+            <span className={classes.ViewToggle} role='group' aria-label='View mode'>
+              <span
+                className={this.state.viewMode === 'readme' ? classes.ViewActive : ''}
+                onClick={() => this.setViewModeHandler('readme')}
+              >
+                <FontAwesomeIcon icon={faFileAlt} /> README
+              </span>
+              <span
+                className={this.state.viewMode === 'table' ? classes.ViewActive : ''}
+                onClick={() => this.setViewModeHandler('table')}
+              >
+                <FontAwesomeIcon icon={faTable} /> Table
+              </span>
+            </span>
             <span>
               <strong>{this.props.match.params.repo}</strong>
+              {this.props.match.params.path && (
+                <span className={classes.FilePath}> / {this.props.match.params.path}</span>
+              )}
             </span>
             <div>
               <FontAwesomeIcon icon={faStar} /> stars:{this.state.stars}
@@ -362,6 +1246,38 @@ class AwesomeReadme extends Component {
               <TimeAgo datetime={this.state.updateAt} />
             </div>
 
+            {this.state.cachedAt && (
+              <div className={classes.OfflineNotice}>
+                Offline: showing the copy saved <TimeAgo datetime={this.state.cachedAt} />
+              </div>
+            )}
+
+            {this.state.changes && this.renderChanges()}
+
+            {this.state.linkCheck && this.renderLinkCheck()}
+
+            {this.state.resumedAt && (
+              <div className={classes.ResumeNotice}>
+                Resumed at <strong>{this.state.resumedAt}</strong> ·{' '}
+                <span className={classes.TOCButton} onClick={this.startOverHandler}>
+                  Start from the top
+                </span>
+              </div>
+            )}
+
+            {this.state.progress && this.state.progress.total > 0 && (
+              <div
+                className={classes.ProgressBar}
+                role='progressbar'
+                aria-valuemin={0}
+                aria-valuemax={this.state.progress.total}
+                aria-valuenow={this.state.progress.read}
+                title={`${this.state.progress.read} of ${this.state.progress.total} sections read`}
+              >
+                <div style={{ width: `${(this.state.progress.read / this.state.progress.total) * 100}%` }} />
+              </div>
+            )}
+
             {this.state.showTOC && (
               <div className={classes.ReadmeCategory}>
                 <FontAwesomeIcon
@@ -369,28 +1285,49 @@ class AwesomeReadme extends Component {
                   className={classes.ReadmeCategoryCloseButton}
                   icon={faTimes}
                 />
-                {this.state.headers.map((header, idx) => {
-                  return (
-                    <div
-                      key={idx}
-                      onClick={() => {
-                        this.headersOnClick(header.id);
-                      }}
-                      style={{
-                        fontSize: this.getFontSize(header.level).size,
-                        color: this.getFontSize(header.level).color,
-                      }}
-                    >
-                      {this.buildBullet('-', header.level)} {header.title}
-                    </div>
-                  );
-                })}
+                <ReadmeToc
+                  headers={this.state.headers}
+                  counts={this.getSectionCounts()}
+                  currentId={this.state.currentSectionId}
+                  activeId={this.state.activeHeaderId}
+                  copiedId={this.state.copiedSection}
+                  onSelect={this.goToSection}
+                  onCopy={this.props.match.params.path ? null : this.copySectionLink}
+                />
+              </div>
+            )}
+
+            {this.state.showFind && (
+              <div className={classes.FindBarRow}>
+                <FindBar
+                  getRoot={this.getFindRoot}
+                  content={this.state._html}
+                  onMatchChange={this.findMatchChangeHandler}
+                  onClose={this.toggleFindHandler}
+                />
               </div>
             )}
           </div>
         )}
 
-        <div dangerouslySetInnerHTML={{ __html: this.state._html }}></div>
+        {this.state.viewMode === 'table' && this.state.showReadmeInfo && (
+          <EntryTable entries={this.getEntries()} />
+        )}
+        {/* Stays mounted in table mode so the TOC and anchors keep working */}
+        <div
+          ref={this.contentRef}
+          onClick={this.contentClickHandler}
+          onMouseUp={this.contentMouseUpHandler}
+          hidden={this.state.viewMode === 'table' && this.state.showReadmeInfo}
+          dangerouslySetInnerHTML={{ __html: this.state._html }}
+        ></div>
+        <AddEntryModal entry={this.state.collectEntry} onClose={this.closeCollectEntryHandler} />
+        <AnnotationEditor
+          repo={this.getListRepo()}
+          entry={this.state.annotateEntry}
+          onClose={this.closeAnnotateEntryHandler}
+        />
+        {this.state.selectionAction && this.renderSelectionAction()}
         <div className={classes.scrollToTop} onClick={this.scrollToTop}>
           <FontAwesomeIcon icon={faLongArrowAltUp} /> Go To Top
         </div>
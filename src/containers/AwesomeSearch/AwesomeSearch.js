@@ -4,10 +4,12 @@ import AwesomeRwdMenu from '../../components/AwesomeRwdMenu/AwesomeRwdMenu';
 import AwesomeLists from '../../components/AwesomeLists/AwesomeLists';
 import AwesomeInput from '../../components/AwesomeInput/AwesomeInput';
 import AwesomeReadme from '../AwesomeReadme/AwesomeReadme';
+import SearchResults from '../SearchResults/SearchResults';
+import CategoryBrowser from '../CategoryBrowser/CategoryBrowser';
+import ListCompare from '../ListCompare/ListCompare';
 import Spinner from '../../components/UI/Spinner/Spinner';
 import axios from 'axios';
-import Fuse from 'fuse.js';
-import {Route, withRouter} from 'react-router-dom';
+import {Route, Switch, withRouter} from 'react-router-dom';
 import Backdrop from '../../components/UI/Backdrop/Backdrop';
 import {FontAwesomeIcon} from '@fortawesome/react-fontawesome';
 import {faBars, faCog, faFolder, faList, faDownload, faUpload} from '@fortawesome/free-solid-svg-icons';
@@ -22,6 +24,20 @@ import { SettingsPanel } from '../../components/Settings';
 import { ExportModal, ImportModal } from '../../components/ImportExport';
 import CollectionsContext from '../../context/CollectionsContext';
 import storageService from '../../services/storageService';
+import contentIndexService from '../../services/contentIndexService';
+import annotationService from '../../services/annotationService';
+import searchService from '../../services/searchService';
+import repoStatsService from '../../services/repoStatsService';
+import synonymService from '../../services/synonymService';
+import listChangesService from '../../services/listChangesService';
+import readmeCacheService from '../../services/readmeCacheService';
+import { createSavedSearch } from '../../models/SavedSearch';
+
+// Wait for the user to stop typing before recording a query in the history
+const HISTORY_DEBOUNCE_MS = 1500;
+// GitHub stats are only fetched for results of a query the user paused on
+const STATS_DEBOUNCE_MS = 800;
+const STATS_FETCH_PER_QUERY = 10;
 
 class AwesomeSearch extends Component {
     static contextType = CollectionsContext;
@@ -33,6 +49,14 @@ class AwesomeSearch extends Component {
         subjectsArray: [],
         search: '',
         searchResult: [],
+        contentResult: [],
+        annotationResult: [],
+        searchHistory: storageService.getSearchHistory(),
+        savedSearches: storageService.getSavedSearches(),
+        searchRanking: searchService.normalizeRanking(storageService.getPreferences().searchRanking),
+        synonymExpansions: [],
+        excludedSynonyms: [],
+        listChanges: listChangesService.getPending(),
         showResult: false,
         showMenu: false,
         // New feature state
@@ -74,14 +98,34 @@ class AwesomeSearch extends Component {
 
     componentDidMount() {
         this.getSubjectEntries();
+        searchService.setStats(repoStatsService.getAll());
         // Listen for custom list or list config updates
         window.addEventListener('customListsUpdated', this.handleCustomListsUpdated);
         window.addEventListener('listConfigUpdated', this.handleListConfigUpdated);
+        window.addEventListener('contentIndexUpdated', this.handleContentIndexUpdated);
+        window.addEventListener('searchHistoryUpdated', this.handleSearchHistoryUpdated);
+        window.addEventListener('repoStatsUpdated', this.handleRepoStatsUpdated);
+        window.addEventListener('synonymsUpdated', this.handleSynonymsUpdated);
+        window.addEventListener('listChangesUpdated', this.handleListChangesUpdated);
+        window.addEventListener('annotationsUpdated', this.handleAnnotationsUpdated);
+        // Pick up changes to visited lists for the "N new" badges
+        listChangesService
+            .getVisitedRepos()
+            .then(repos => readmeCacheService.revalidate(repos))
+            .catch(() => {});
     }
 
     componentWillUnmount() {
         window.removeEventListener('customListsUpdated', this.handleCustomListsUpdated);
         window.removeEventListener('listConfigUpdated', this.handleListConfigUpdated);
+        window.removeEventListener('contentIndexUpdated', this.handleContentIndexUpdated);
+        window.removeEventListener('searchHistoryUpdated', this.handleSearchHistoryUpdated);
+        window.removeEventListener('repoStatsUpdated', this.handleRepoStatsUpdated);
+        window.removeEventListener('synonymsUpdated', this.handleSynonymsUpdated);
+        window.removeEventListener('listChangesUpdated', this.handleListChangesUpdated);
+        window.removeEventListener('annotationsUpdated', this.handleAnnotationsUpdated);
+        clearTimeout(this.historyTimer);
+        clearTimeout(this.statsTimer);
     }
 
     topicOnClickHandler = (topic) => {
@@ -90,22 +134,166 @@ class AwesomeSearch extends Component {
 
     searchInputOnChangeHandler = (event) => {
         const q = event.target.value;
+        // Removed synonym chips only apply to the query they were removed from
+        const terms = text => text.trim().toLowerCase().split(/\s+/).join(' ');
+        const excludedSynonyms = terms(q) === terms(this.state.search) ? this.state.excludedSynonyms : [];
         this.setState({
             search: q,
+            excludedSynonyms,
         });
 
-        const options = {
-            keys: ['name', 'repo', 'description', 'cate'],
-            threshold: 0.4,
-            includeScore: true,
-            ignoreLocation: true,
-        };
+        this.searchLists(q, {excludedSynonyms});
+        this.searchContent(q);
+        this.searchAnnotations(q);
+        this.recordSearch(q);
+    };
+
+    // Structured queries (cate:, repo:, -word, "phrases", OR) are evaluated in the search worker
+    searchLists = (q, options = {}) => {
+        const {
+            ranking = this.state.searchRanking,
+            excludedSynonyms = this.state.excludedSynonyms,
+        } = options;
+
+        if (!q.trim()) {
+            this.setState({searchResult: [], synonymExpansions: []});
+            return;
+        }
+
+        // Abbreviations and synonyms from the local dictionary are OR-ed into the query
+        const synonymExpansions = synonymService.getExpansions(q, excludedSynonyms);
+        this.setState({synonymExpansions});
+
+        searchService
+            .searchLists(q, {
+                limit: 20,
+                channel: 'input',
+                ranking,
+                synonyms: synonymService.toSearchOption(synonymExpansions),
+            })
+            .then((result) => {
+                if (this.state.search !== q) return;
+                this.setState({searchResult: result});
+                this.fetchMissingStats(result);
+            })
+            .catch((error) => {
+                if (!searchService.isCancelled(error)) console.error('Search failed:', error);
+            });
+    };
+
+    // Fill in GitHub stats for the visible results; the cache update re-ranks via repoStatsUpdated
+    fetchMissingStats = (result) => {
+        clearTimeout(this.statsTimer);
+        const repos = result.filter(r => !r.stats).map(r => r.item.repo);
+        if (repos.length === 0) return;
+
+        this.statsTimer = setTimeout(() => {
+            repoStatsService.fetchMissing(repos, {max: STATS_FETCH_PER_QUERY});
+        }, STATS_DEBOUNCE_MS);
+    };
+
+    handleRepoStatsUpdated = () => {
+        searchService.setStats(repoStatsService.getAll());
+        this.searchLists(this.state.search);
+    };
 
-        // Recreate fuse index from current subjectsArray (which includes custom lists via merge)
-        const fuse = new Fuse(this.state.subjectsArray || [], options);
-        const result = q.trim() ? fuse.search(q) : [];
+    rankingChangeHandler = (ranking) => {
+        storageService.updatePreference('searchRanking', ranking);
+        this.setState({searchRanking: ranking});
+        this.searchLists(this.state.search, {ranking});
+    };
 
-        this.setState({searchResult: result.slice(0, 20)});
+    removeSynonymHandler = (term) => {
+        const excludedSynonyms = [...this.state.excludedSynonyms, term];
+        this.setState({excludedSynonyms});
+        this.searchLists(this.state.search, {excludedSynonyms});
+    };
+
+    handleSynonymsUpdated = () => {
+        this.searchLists(this.state.search);
+    };
+
+    handleListChangesUpdated = () => {
+        this.setState({listChanges: listChangesService.getPending()});
+    };
+
+    // New entries per topic since each list was last visited, for the menu badges
+    getNewCounts = () => {
+        const counts = {};
+        Object.entries(this.state.subjects || {}).forEach(([topic, lists]) => {
+            const count = listChangesService.countNew(lists.map(list => list.repo), this.state.listChanges);
+            if (count > 0) counts[topic] = count;
+        });
+        return counts;
+    };
+
+    // Debounced so only the query the user settles on is recorded
+    recordSearch = (q) => {
+        clearTimeout(this.historyTimer);
+        if (!q.trim()) return;
+
+        this.historyTimer = setTimeout(() => {
+            storageService.addToSearchHistory(q);
+            this.setState({searchHistory: storageService.getSearchHistory()});
+        }, HISTORY_DEBOUNCE_MS);
+    };
+
+    applySearchHandler = (q) => {
+        this.searchInputOnChangeHandler({ target: { value: q } });
+    };
+
+    saveSearchHandler = (name, query) => {
+        storageService.addSavedSearch(createSavedSearch({ name, query }));
+        this.handleSearchHistoryUpdated();
+    };
+
+    removeSavedSearchHandler = (id) => {
+        storageService.removeSavedSearch(id);
+        this.handleSearchHistoryUpdated();
+    };
+
+    removeHistoryHandler = (query) => {
+        storageService.removeFromSearchHistory(query);
+        this.handleSearchHistoryUpdated();
+    };
+
+    handleSearchHistoryUpdated = () => {
+        this.setState({
+            searchHistory: storageService.getSearchHistory(),
+            savedSearches: storageService.getSavedSearches(),
+        });
+    };
+
+    // Search entries inside indexed READMEs (opt-in full-text search)
+    searchContent = (q) => {
+        const text = searchService.getFreeText(q);
+        if (!contentIndexService.isEnabled() || !text.trim()) {
+            this.setState({contentResult: []});
+            return;
+        }
+
+        contentIndexService.search(text, 10)
+            .then((contentResult) => {
+                // Ignore results for a query the user already moved past
+                if (this.state.search === q) {
+                    this.setState({contentResult});
+                }
+            })
+            .catch((error) => {
+                if (!searchService.isCancelled(error)) console.error('README search failed:', error);
+            });
+    };
+
+    // Search the user's own notes and highlights on README entries
+    searchAnnotations = (q) => {
+        const text = searchService.getFreeText(q);
+        this.setState({
+            annotationResult: text.trim() ? annotationService.search(text, 5) : [],
+        });
+    };
+
+    handleAnnotationsUpdated = () => {
+        this.searchAnnotations(this.state.search);
     };
 
     searchInputOnFocusHandler = () => {
@@ -187,6 +375,7 @@ class AwesomeSearch extends Component {
                 .reduce((a, b) => a.concat(b), []);
 
             const enabledOnly = flattened.filter(it => storageService.isListEnabled(it.repo));
+            searchService.setLists(enabledOnly);
             this.setState({ subjectsArray: enabledOnly });
             return;
         }
@@ -204,6 +393,7 @@ class AwesomeSearch extends Component {
 
         const enabledOnly = flattened.filter(it => storageService.isListEnabled(it.repo));
 
+        searchService.setLists(enabledOnly);
         this.setState({ subjects: newSubjects, subjectsArray: enabledOnly });
     };
 
@@ -224,6 +414,12 @@ class AwesomeSearch extends Component {
         }
     };
 
+    handleContentIndexUpdated = () => {
+        if (this.state.search && this.state.search.trim()) {
+            this.searchContent(this.state.search);
+        }
+    };
+
     render() {
         const { activeView, showSettings, showExport, showImport } = this.state;
         
@@ -235,7 +431,20 @@ class AwesomeSearch extends Component {
                             searchOnchange={this.searchInputOnChangeHandler}
                             value={this.state.search}
                             searchResult={this.state.searchResult}
+                            contentResult={this.state.contentResult}
+                            annotationResult={this.state.annotationResult}
                             searchInputOnFocus={this.searchInputOnFocusHandler}
+                            searchInputOnClose={this.searchInputOnCloseHandler}
+                            searchHistory={this.state.searchHistory}
+                            savedSearches={this.state.savedSearches}
+                            onApplySearch={this.applySearchHandler}
+                            onSaveSearch={this.saveSearchHandler}
+                            onRemoveSavedSearch={this.removeSavedSearchHandler}
+                            onRemoveHistory={this.removeHistoryHandler}
+                            ranking={this.state.searchRanking}
+                            onRankingChange={this.rankingChangeHandler}
+                            synonymExpansions={this.state.synonymExpansions}
+                            onRemoveSynonym={this.removeSynonymHandler}
                             showResult={this.state.showResult}
                             homeOnClick={this.topicOnClickHandler}
                         />
@@ -318,11 +527,13 @@ class AwesomeSearch extends Component {
                                 {this.state.showMenu ? (
                                     <AwesomeRwdMenu
                                         topics={Object.keys(this.state.subjects)}
+                                        newCounts={this.getNewCounts()}
                                         topicOnClickHandler={this.topicOnClickHandler}
                                     />
                                 ) : null}
                                 <AwesomeListMenu
                                     topics={Object.keys(this.state.subjects)}
+                                    newCounts={this.getNewCounts()}
                                     topicOnClickHandler={this.topicOnClickHandler}
                                 />
                             </div>
@@ -346,30 +557,74 @@ class AwesomeSearch extends Component {
                                         />
                                     )}
                                     
-                                    <Route
-                                        path="/"
-                                        exact
-                                        render={() => {
-                                            return (
-                                                <AwesomeLists
-                                                    topic={this.state.selectedSubject}
-                                                    subjects={this.state.subjects[this.state.selectedSubject]}
-                                                />
-                                            );
-                                        }}
-                                    />
-                                    <Route
-                                        path="/:user/:repo"
-                                        render={(props) => {
-                                            return (
-                                                <AwesomeReadme
-                                                    key={props.match.params.repo}
-                                                    setMdHandler={this.setMdHandler}
-                                                    {...props}
-                                                />
-                                            );
-                                        }}
-                                    />
+                                    {/* App pages live under /-/, which can't be a GitHub owner (owners are letters, digits
+                                        and inner hyphens), so they never shadow /:user/:repo */}
+                                    <Switch>
+                                        <Route
+                                            path="/"
+                                            exact
+                                            render={() => {
+                                                return (
+                                                    <AwesomeLists
+                                                        topic={this.state.selectedSubject}
+                                                        subjects={this.state.subjects[this.state.selectedSubject]}
+                                                        listChanges={this.state.listChanges}
+                                                    />
+                                                );
+                                            }}
+                                        />
+                                        <Route
+                                            path="/-/search"
+                                            exact
+                                            render={(props) => {
+                                                return (
+                                                    <SearchResults
+                                                        subjectsArray={this.state.subjectsArray}
+                                                        ranking={this.state.searchRanking}
+                                                        onRankingChange={this.rankingChangeHandler}
+                                                        {...props}
+                                                    />
+                                                );
+                                            }}
+                                        />
+                                        <Route
+                                            path="/-/categories/:slug?"
+                                            exact
+                                            render={(props) => {
+                                                return (
+                                                    <CategoryBrowser
+                                                        subjects={this.state.subjects}
+                                                        {...props}
+                                                    />
+                                                );
+                                            }}
+                                        />
+                                        <Route
+                                            path="/-/compare/:userA?/:repoA?/:userB?/:repoB?"
+                                            exact
+                                            render={(props) => {
+                                                return (
+                                                    <ListCompare
+                                                        subjectsArray={this.state.subjectsArray}
+                                                        {...props}
+                                                    />
+                                                );
+                                            }}
+                                        />
+                                        <Route
+                                            path={['/:user/:repo/file/:path+', '/:user/:repo/section/:slug', '/:user/:repo']}
+                                            render={(props) => {
+                                                return (
+                                                    <AwesomeReadme
+                                                        key={`${props.match.params.user}/${props.match.params.repo}/${props.match.params.path || ''}`}
+                                                        setMdHandler={this.setMdHandler}
+                                                        subjectsArray={this.state.subjectsArray}
+                                                        {...props}
+                                                    />
+                                                );
+                                            }}
+                                        />
+                                    </Switch>
                                 </>
                             )}
 
@@ -418,6 +673,7 @@ class AwesomeSearch extends Component {
                     onClose={this.toggleSettings}
                     onExport={this.toggleExport}
                     onImport={this.toggleImport}
+                    lists={this.state.subjectsArray}
                 />
 
                 <ExportModal
@@ -0,0 +1,161 @@
+/**
+ * CategoryBrowser - Browse awesome lists by category
+ * #/-/categories lists every category with its list, enabled and starred counts;
+ * #/-/categories/:slug drills into one category. Sort and filter live in the URL
+ * (?sort=name|size, ?q=...) so every view can be bookmarked.
+ */
+import React, { useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faStar } from '@fortawesome/free-solid-svg-icons';
+import { useListManagement } from '../../context/ListManagementContext';
+import classes from './CategoryBrowser.module.css';
+
+const SORTS = [
+  { value: 'size', label: 'Size' },
+  { value: 'name', label: 'Name' },
+];
+
+/**
+ * URL-safe slug for a category name, e.g. "Back-End Development" -> "back-end-development"
+ */
+export const categorySlug = (name = '') => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const matchesFilter = (list, filter) => {
+  const needle = filter.trim().toLowerCase();
+  if (!needle) return true;
+  return [list.name, list.repo, list.description]
+    .some(value => value && value.toLowerCase().includes(needle));
+};
+
+const CategoryBrowser = ({ match, location, history, subjects = {} }) => {
+  const { state, isListEnabled, isFavorite, toggleFavorite } = useListManagement();
+  const params = new URLSearchParams(location.search);
+  const sort = params.get('sort') === 'name' ? 'name' : 'size';
+  const filter = params.get('q') || '';
+  const slug = match.params.slug;
+
+  const categories = useMemo(() => Object.keys(subjects).map((name) => {
+    const lists = subjects[name] || [];
+    return {
+      name,
+      slug: categorySlug(name),
+      lists,
+      enabled: lists.filter(list => !state.disabledLists.includes(list.repo)).length,
+      starred: lists.filter(list => state.favoritesList.includes(list.repo)).length,
+    };
+  }), [subjects, state.disabledLists, state.favoritesList]);
+
+  // Keep the other params when changing one; typing replaces the entry instead of pushing
+  const updateParams = (changes, replace = false) => {
+    const next = new URLSearchParams(location.search);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) next.set(key, value); else next.delete(key);
+    });
+    const search = next.toString();
+    const path = `${location.pathname}${search ? `?${search}` : ''}`;
+    if (replace) history.replace(path); else history.push(path);
+  };
+
+  const renderSort = () => (
+    <div className={classes.Sort}>
+      Sort by
+      {SORTS.map(option => (
+        <button
+          key={option.value}
+          className={sort === option.value ? classes.Active : ''}
+          onClick={() => updateParams({ sort: option.value === 'size' ? '' : option.value })}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const renderCounts = ({ lists, enabled, starred }) => (
+    <span className={classes.Counts}>
+      {lists.length} {lists.length === 1 ? 'list' : 'lists'}
+      {' · '}{enabled} enabled
+      {starred > 0 ? <> · <FontAwesomeIcon icon={faStar} /> {starred}</> : null}
+    </span>
+  );
+
+  if (!slug) {
+    const sorted = [...categories].sort((a, b) => (sort === 'name'
+      ? a.name.localeCompare(b.name)
+      : b.lists.length - a.lists.length || a.name.localeCompare(b.name)));
+    const total = categories.reduce((sum, category) => sum + category.lists.length, 0);
+
+    return (
+      <div className={classes.CategoryBrowser}>
+        <h1>Categories</h1>
+        <p className={classes.Summary}>{categories.length} categories · {total} lists</p>
+        {renderSort()}
+        <div className={classes.Grid}>
+          {sorted.map(category => (
+            <Link key={category.name} className={classes.Card} to={`/-/categories/${category.slug}`}>
+              <span className={classes.CardTitle}>{category.name}</span>
+              {renderCounts(category)}
+            </Link>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const category = categories.find(c => c.slug === slug);
+  if (!category) {
+    return (
+      <div className={classes.CategoryBrowser}>
+        <Link to="/-/categories">← All categories</Link>
+        <p className={classes.Summary}>No category named "{slug}".</p>
+      </div>
+    );
+  }
+
+  const lists = category.lists
+    .filter(list => matchesFilter(list, filter))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div className={classes.CategoryBrowser}>
+      <Link to={`/-/categories${sort === 'name' ? '?sort=name' : ''}`}>← All categories</Link>
+      <h1>{category.name}</h1>
+      <p className={classes.Summary}>{renderCounts(category)}</p>
+      <input
+        type="text"
+        className="form-control"
+        placeholder={`Filter ${category.lists.length} lists`}
+        aria-label="Filter lists in this category"
+        value={filter}
+        onChange={(e) => updateParams({ q: e.target.value }, true)}
+      />
+      {filter.trim() ? (
+        <p className={classes.Summary}>{lists.length} of {category.lists.length} lists match</p>
+      ) : null}
+      <ul className={classes.Lists}>
+        {lists.map(list => (
+          <li key={list.repo} className={isListEnabled(list.repo) ? '' : classes.Disabled}>
+            <button
+              className={`${classes.StarButton} ${isFavorite(list.repo) ? classes.Starred : ''}`}
+              title={isFavorite(list.repo) ? 'Unstar' : 'Star'}
+              aria-pressed={isFavorite(list.repo)}
+              onClick={() => toggleFavorite(list.repo)}
+            >
+              <FontAwesomeIcon icon={faStar} />
+            </button>
+            <Link to={`/${list.repo}`}>{list.name}</Link>
+            <span className={classes.Repo}>{list.repo}</span>
+            {!isListEnabled(list.repo) && <span className={classes.Badge}>disabled</span>}
+            {list.description && <p className={classes.Description}>{list.description}</p>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default CategoryBrowser;
@@ -0,0 +1,253 @@
+/**
+ * ListCompare - Two awesome lists side by side
+ * #/-/compare/:userA/:repoA/:userB/:repoB shows the link overlap of both READMEs, a
+ * metadata diff (stars, last push, entry count) and both READMEs next to each other.
+ */
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import TimeAgo from 'timeago-react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faExchangeAlt } from '@fortawesome/free-solid-svg-icons';
+import readmeService from '../../services/readmeService';
+import readmeCacheService from '../../services/readmeCacheService';
+import repoStatsService from '../../services/repoStatsService';
+import githubService from '../../services/githubService';
+import { snapshotEntries } from '../../services/listChangesService';
+import { compareEntries, normalizeUrl } from '../../services/compareService';
+import classes from './ListCompare.module.css';
+
+const LINKS_SHOWN = 50;
+
+/**
+ * "owner/repo" from user input (owner/repo or a GitHub URL), or null
+ */
+const parseRepoInput = (value = '') => {
+  const text = value.trim();
+  if (/^[\w.-]+\/[\w.-]+$/.test(text)) return text;
+  return githubService.parseRepoUrl(text);
+};
+
+const LinkList = ({ title, items, render }) => {
+  const [expanded, setExpanded] = useState(false);
+  const shown = expanded ? items : items.slice(0, LINKS_SHOWN);
+  return (
+    <div className={classes.LinkList}>
+      <h3>{title} <span className={classes.Count}>{items.length}</span></h3>
+      <ul>
+        {shown.map(render)}
+      </ul>
+      {items.length > LINKS_SHOWN && (
+        <button className={classes.More} onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Show less' : `Show all ${items.length}`}
+        </button>
+      )}
+    </div>
+  );
+};
+
+const ListCompare = ({ match, history, subjectsArray = [] }) => {
+  const { userA, repoA, userB, repoB } = match.params;
+  const a = userA && repoA ? `${userA}/${repoA}` : '';
+  const b = userB && repoB ? `${userB}/${repoB}` : '';
+
+  const [inputs, setInputs] = useState({ a, b });
+  const [readmes, setReadmes] = useState({}); // repo -> { raw, html, offline } or { error }
+  const [statsVersion, setStatsVersion] = useState(0);
+  const paneRefs = { [a]: useRef(null), [b]: useRef(null) };
+
+  useEffect(() => {
+    setInputs({ a, b });
+  }, [a, b]);
+
+  // Both READMEs through the offline cache, so a compared list is also readable offline later
+  useEffect(() => {
+    let cancelled = false;
+    setReadmes({});
+    [a, b].filter(Boolean).forEach((repo) => {
+      const [user, name] = repo.split('/');
+      const update = changes => !cancelled && setReadmes(prev => ({ ...prev, [repo]: { ...prev[repo], ...changes } }));
+      readmeCacheService
+        .load(user, name, (record) => {
+          update({
+            raw: record.html,
+            html: readmeService.resolveRelativeUrls(record.html, { user, repo: name }),
+          });
+        })
+        .then(({ offline }) => update({ offline }))
+        .catch(err => update({ error: err.message || 'Network error' }));
+    });
+    return () => { cancelled = true; };
+  }, [a, b]);
+
+  useEffect(() => {
+    const refresh = () => setStatsVersion(v => v + 1);
+    window.addEventListener('repoStatsUpdated', refresh);
+    repoStatsService.fetchMissing([a, b].filter(Boolean), { max: 2 });
+    return () => window.removeEventListener('repoStatsUpdated', refresh);
+  }, [a, b]);
+
+  const entries = useMemo(() => ({
+    [a]: readmes[a] && readmes[a].raw ? snapshotEntries(readmes[a].raw) : null,
+    [b]: readmes[b] && readmes[b].raw ? snapshotEntries(readmes[b].raw) : null,
+  }), [a, b, readmes]);
+
+  const comparison = useMemo(() => (
+    entries[a] && entries[b] ? compareEntries(entries[a], entries[b]) : null
+  ), [a, b, entries]);
+
+  // statsVersion re-reads the stats cache after a fetch
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const stats = useMemo(() => ({ [a]: repoStatsService.getForRepo(a), [b]: repoStatsService.getForRepo(b) }), [a, b, statsVersion]);
+
+  // Mark the links both lists share inside the rendered READMEs
+  useEffect(() => {
+    if (!comparison) return;
+    const shared = new Set(comparison.shared.map(item => item.url));
+    [a, b].forEach((repo) => {
+      const pane = paneRefs[repo] && paneRefs[repo].current;
+      if (!pane) return;
+      pane.querySelectorAll('a[href^="http"]').forEach((link) => {
+        link.classList.toggle(classes.SharedLink, shared.has(normalizeUrl(link.getAttribute('href'))));
+      });
+    });
+  });
+
+  const getName = (repo) => {
+    const list = subjectsArray.find(item => item.repo === repo);
+    return list ? list.name : repo.split('/')[1];
+  };
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    const nextA = parseRepoInput(inputs.a);
+    const nextB = parseRepoInput(inputs.b);
+    if (nextA && nextB) history.push(`/-/compare/${nextA}/${nextB}`);
+  };
+
+  const swapHandler = () => {
+    if (a && b) history.push(`/-/compare/${b}/${a}`);
+    else setInputs({ a: inputs.b, b: inputs.a });
+  };
+
+  // In-page anchors would change the app route; scroll inside the pane instead
+  const paneClickHandler = (e) => {
+    const link = e.target.closest('a[href^="#"]:not([href^="#/"])');
+    if (!link) return;
+    e.preventDefault();
+    const id = link.getAttribute('href').slice(1);
+    const target = e.currentTarget.querySelector(`[id="${id}"], [id="user-content-${id}"]`);
+    if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  const renderEntry = item => (
+    <li key={item.url}>
+      <a href={item.url} target="_blank" rel="noopener noreferrer">{item.name}</a>
+      {item.section && <small> · {item.section}</small>}
+    </li>
+  );
+
+  const renderMetaRow = (label, render) => (
+    <tr>
+      <th>{label}</th>
+      {[a, b].map(repo => <td key={repo}>{render(repo)}</td>)}
+    </tr>
+  );
+
+  const percent = (part, whole) => (whole ? Math.round((part / whole) * 100) : 0);
+
+  return (
+    <div className={classes.ListCompare}>
+      <h1>Compare lists</h1>
+
+      <form className={classes.Pickers} onSubmit={submitHandler}>
+        <datalist id="compare-lists">
+          {subjectsArray.map(list => <option key={list.repo} value={list.repo}>{list.name}</option>)}
+        </datalist>
+        <input
+          list="compare-lists"
+          placeholder="owner/repo"
+          aria-label="First list"
+          value={inputs.a}
+          onChange={e => setInputs({ ...inputs, a: e.target.value })}
+        />
+        <button type="button" className={classes.Swap} onClick={swapHandler} title="Swap">
+          <FontAwesomeIcon icon={faExchangeAlt} />
+        </button>
+        <input
+          list="compare-lists"
+          placeholder="owner/repo"
+          aria-label="Second list"
+          value={inputs.b}
+          onChange={e => setInputs({ ...inputs, b: e.target.value })}
+        />
+        <button type="submit" disabled={!parseRepoInput(inputs.a) || !parseRepoInput(inputs.b)}>
+          Compare
+        </button>
+      </form>
+
+      {a && b && (
+        <>
+          <table className={classes.Meta}>
+            <thead>
+              <tr>
+                <th />
+                {[a, b].map(repo => (
+                  <th key={repo}><Link to={`/${repo}`}>{getName(repo)}</Link></th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {renderMetaRow('Stars', repo => (stats[repo] ? (stats[repo].stars || 0).toLocaleString() : '–'))}
+              {renderMetaRow('Last push', repo => (
+                stats[repo] && stats[repo].pushedAt ? <TimeAgo datetime={stats[repo].pushedAt} /> : '–'
+              ))}
+              {renderMetaRow('Archived', repo => (stats[repo] ? (stats[repo].archived ? 'Yes' : 'No') : '–'))}
+              {renderMetaRow('Entries', repo => (entries[repo] ? entries[repo].length : '…'))}
+              {comparison && renderMetaRow('Shared', repo => {
+                const total = repo === a ? comparison.totalA : comparison.totalB;
+                return `${comparison.shared.length} (${percent(comparison.shared.length, total)}%)`;
+              })}
+            </tbody>
+          </table>
+
+          {comparison && (
+            <div className={classes.Overlap}>
+              <LinkList
+                title="In both"
+                items={comparison.shared}
+                render={item => renderEntry(item.a)}
+              />
+              <LinkList title={`Only in ${getName(a)}`} items={comparison.onlyA} render={renderEntry} />
+              <LinkList title={`Only in ${getName(b)}`} items={comparison.onlyB} render={renderEntry} />
+            </div>
+          )}
+
+          <div className={classes.Panes}>
+            {[a, b].map(repo => (
+              <section key={repo} className={classes.Pane}>
+                <h2>
+                  <Link to={`/${repo}`}>{repo}</Link>
+                  {readmes[repo] && readmes[repo].offline && <small className={classes.Offline}> offline copy</small>}
+                </h2>
+                {!readmes[repo] && <p className={classes.Status}>Loading README…</p>}
+                {readmes[repo] && readmes[repo].error && (
+                  <p className={classes.Status}>Failed to load README: {readmes[repo].error}</p>
+                )}
+                {readmes[repo] && readmes[repo].html && (
+                  <div
+                    ref={paneRefs[repo]}
+                    className={classes.PaneBody}
+                    onClick={paneClickHandler}
+                    dangerouslySetInnerHTML={{ __html: readmes[repo].html }}
+                  />
+                )}
+              </section>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ListCompare;
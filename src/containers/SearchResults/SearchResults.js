@@ -0,0 +1,265 @@
+/**
+ * SearchResults - Full results page for a search, driven entirely by the URL
+ * (#/-/search?q=...&cate=...&sort=...&page=...) so it can be shared and restored with back/forward
+ */
+import React, { useMemo, useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import searchService from '../../services/searchService';
+import repoStatsService from '../../services/repoStatsService';
+import synonymService from '../../services/synonymService';
+import { Button, Highlight, RepoStats } from '../../components/UI';
+import { SynonymChips } from '../../components/SynonymChips';
+import classes from './SearchResults.module.css';
+
+const PAGE_SIZE = 30;
+
+const SearchResults = ({ location, history, subjectsArray = [], ranking = 'relevance', onRankingChange }) => {
+  const params = new URLSearchParams(location.search);
+  const q = params.get('q') || '';
+  const cate = params.get('cate') || '';
+  const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+  // Links without a sort use the ranking the user last picked
+  const sort = searchService.normalizeRanking(params.get('sort') || ranking);
+
+  // Local copy of the query so typing doesn't wait on the router
+  const [input, setInput] = useState(q);
+  useEffect(() => {
+    setInput(q);
+  }, [q]);
+
+  const [searchResults, setSearchResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [statsVersion, setStatsVersion] = useState(0);
+  const [synonymsVersion, setSynonymsVersion] = useState(0);
+  const [excludedSynonyms, setExcludedSynonyms] = useState([]);
+
+  useEffect(() => {
+    const handleStatsUpdated = () => setStatsVersion(v => v + 1);
+    const handleSynonymsUpdated = () => setSynonymsVersion(v => v + 1);
+    window.addEventListener('repoStatsUpdated', handleStatsUpdated);
+    window.addEventListener('synonymsUpdated', handleSynonymsUpdated);
+    return () => {
+      window.removeEventListener('repoStatsUpdated', handleStatsUpdated);
+      window.removeEventListener('synonymsUpdated', handleSynonymsUpdated);
+    };
+  }, []);
+
+  // Removed chips only apply to the query they were removed from
+  useEffect(() => {
+    setExcludedSynonyms(terms => (terms.length ? [] : terms));
+  }, [q]);
+
+  const synonymExpansions = useMemo(
+    () => synonymService.getExpansions(q, excludedSynonyms),
+    // synonymsVersion re-reads the dictionary after it is edited
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [q, excludedSynonyms, synonymsVersion]
+  );
+
+  useEffect(() => {
+    if (!q.trim()) {
+      setSearchResults([]);
+      setLoading(false);
+      return;
+    }
+    let active = true;
+    setLoading(true);
+    searchService
+      .searchLists(q, {
+        limit: Infinity,
+        channel: 'results',
+        ranking: sort,
+        synonyms: synonymService.toSearchOption(synonymExpansions),
+      })
+      .then((results) => {
+        if (active) setSearchResults(results);
+      })
+      .catch((error) => {
+        if (!searchService.isCancelled(error)) console.error('Search failed:', error);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+    return () => {
+      active = false;
+    };
+  }, [subjectsArray, q, sort, statsVersion, synonymExpansions]);
+
+  // Without a query, a category link (#/-/search?cate=...) lists the whole category
+  const allResults = useMemo(
+    () => (q.trim()
+      ? searchResults
+      : subjectsArray.map(item => ({ item, score: 0, matches: [] }))),
+    [subjectsArray, q, searchResults]
+  );
+
+  // Category counts over all matches, before the category filter is applied
+  const categoryCounts = useMemo(() => {
+    const counts = {};
+    allResults.forEach(({ item }) => {
+      const key = item.cate || 'Uncategorized';
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  }, [allResults]);
+
+  const filtered = cate
+    ? allResults.filter(({ item }) => (item.cate || 'Uncategorized') === cate)
+    : allResults;
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount);
+  const pageResults = filtered.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+
+  // Fetch missing GitHub stats for the visible page; the update re-runs the search
+  const missingStats = pageResults.filter(r => !r.stats && q.trim()).map(r => r.item.repo).join(',');
+  useEffect(() => {
+    if (missingStats) repoStatsService.fetchMissing(missingStats.split(','));
+  }, [missingStats]);
+
+  // Group the current page by category, keeping the order of the best match
+  const groups = [];
+  pageResults.forEach((result) => {
+    const key = result.item.cate || 'Uncategorized';
+    let group = groups.find(g => g.cate === key);
+    if (!group) {
+      group = { cate: key, results: [] };
+      groups.push(group);
+    }
+    group.results.push(result);
+  });
+
+  const navigate = (changes) => {
+    history.push(searchService.buildResultsPath({ q, cate, sort, page: 1, ...changes }));
+  };
+
+  const submitHandler = (e) => {
+    e.preventDefault();
+    navigate({ q: input.trim(), cate: '' });
+  };
+
+  return (
+    <div className={classes.SearchResults}>
+      <form className={classes.SearchForm} onSubmit={submitHandler}>
+        <input
+          type="text"
+          className="form-control"
+          value={input}
+          placeholder="Search awesome lists"
+          aria-label="Search query"
+          onChange={(e) => setInput(e.target.value)}
+        />
+        <Button type="submit" size="small">Search</Button>
+      </form>
+      <SynonymChips
+        expansions={synonymExpansions}
+        onRemove={term => setExcludedSynonyms(terms => [...terms, term])}
+      />
+
+      {!q.trim() && !cate ? (
+        <p className={classes.Summary}>Type a query to search all awesome lists.</p>
+      ) : (
+        <>
+          <p className={classes.Summary}>
+            {loading ? 'Searching… ' : null}
+            {filtered.length} {filtered.length === 1 ? 'list' : 'lists'}
+            {q.trim() ? <> matching <strong>{q}</strong></> : null}
+            {cate ? <> in <strong>{cate}</strong></> : null}
+            {filtered.length > PAGE_SIZE ? ` · page ${currentPage} of ${pageCount}` : null}
+          </p>
+
+          {q.trim() ? (
+            <label className={classes.Sort}>
+              Sort by{' '}
+              <select
+                value={sort}
+                onChange={(e) => {
+                  if (onRankingChange) onRankingChange(e.target.value);
+                  navigate({ sort: e.target.value });
+                }}
+              >
+                {searchService.getRankingModes().map(mode => (
+                  <option key={mode.value} value={mode.value}>{mode.label}</option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+
+          {categoryCounts.length > 1 && (
+            <div className={classes.Facets}>
+              <button
+                className={`${classes.Facet} ${!cate ? classes.Active : ''}`}
+                onClick={() => navigate({ cate: '' })}
+              >
+                All <span className={classes.Count}>{allResults.length}</span>
+              </button>
+              {categoryCounts.map(([name, count]) => (
+                <button
+                  key={name}
+                  className={`${classes.Facet} ${cate === name ? classes.Active : ''}`}
+                  onClick={() => navigate({ cate: name })}
+                >
+                  {name} <span className={classes.Count}>{count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {groups.map(group => (
+            <div key={group.cate} className={classes.Group}>
+              <h3>{group.cate}</h3>
+              <ul>
+                {group.results.map(({ item, matches, stats }) => {
+                  const fields = searchService.getMatchedFields(matches);
+                  return (
+                    <li key={item.repo}>
+                      <Link to={`/${item.repo}`}>
+                        <Highlight text={item.name} indices={searchService.getMatchIndices(matches, 'name')} />
+                      </Link>
+                      <span className={classes.Repo}>
+                        <Highlight text={item.repo} indices={searchService.getMatchIndices(matches, 'repo')} />
+                      </span>
+                      <RepoStats stats={stats} />
+                      {fields.length > 0 && !fields.includes('name') && (
+                        <span className={classes.MatchedIn}>matched in {fields.join(', ')}</span>
+                      )}
+                      {item.description && (
+                        <p className={classes.ItemDescription}>
+                          <Highlight
+                            text={item.description}
+                            indices={searchService.getMatchIndices(matches, 'description')}
+                          />
+                        </p>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+
+          {pageCount > 1 && (
+            <div className={classes.Pager}>
+              <Button
+                size="small"
+                onClick={() => navigate({ page: currentPage - 1 })}
+                disabled={currentPage === 1}
+              >
+                Prev
+              </Button>
+              <span>Page {currentPage} of {pageCount}</span>
+              <Button
+                size="small"
+                onClick={() => navigate({ page: currentPage + 1 })}
+                disabled={currentPage === pageCount}
+              >
+                Next
+              </Button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SearchResults;
@@ -3,7 +3,7 @@
  */
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import storageService from '../services/storageService';
-import { createCollection, createListItem } from '../models/Collection';
+import { createCollection, createListItem, createEntryItem, getItemKey, isEntryItem } from '../models/Collection';
 
 // Action types
 const ACTIONS = {
@@ -68,8 +68,8 @@ function collectionsReducer(state, action) {
         ...state,
         collections: state.collections.map(c => {
           if (c.id !== collectionId) return c;
-          // Check if list already exists
-          if (c.lists.some(l => l.repo === list.repo)) return c;
+          // Check if the list or entry already exists
+          if (c.lists.some(l => getItemKey(l) === getItemKey(list))) return c;
           return {
             ...c,
             lists: [...c.lists, list],
@@ -80,14 +80,14 @@ function collectionsReducer(state, action) {
     }
     
     case ACTIONS.REMOVE_LIST_FROM_COLLECTION: {
-      const { collectionId, repo } = action.payload;
+      const { collectionId, key } = action.payload;
       return {
         ...state,
         collections: state.collections.map(c => {
           if (c.id !== collectionId) return c;
           return {
             ...c,
-            lists: c.lists.filter(l => l.repo !== repo),
+            lists: c.lists.filter(l => getItemKey(l) !== key),
             updatedAt: new Date().toISOString(),
           };
         }),
@@ -167,10 +167,19 @@ export function CollectionsProvider({ children }) {
       });
     },
 
-    removeListFromCollection: (collectionId, repo) => {
+    addEntryToCollection: (collectionId, entryData) => {
+      const entry = createEntryItem(entryData);
+      dispatch({
+        type: ACTIONS.ADD_LIST_TO_COLLECTION,
+        payload: { collectionId, list: entry },
+      });
+    },
+
+    // Removes a list by repo or an entry by URL
+    removeListFromCollection: (collectionId, key) => {
       dispatch({
         type: ACTIONS.REMOVE_LIST_FROM_COLLECTION,
-        payload: { collectionId, repo },
+        payload: { collectionId, key },
       });
     },
 
@@ -191,6 +200,11 @@ export function CollectionsProvider({ children }) {
       return collection ? collection.lists.some(l => l.repo === repo) : false;
     },
 
+    isEntryInCollection: (collectionId, url) => {
+      const collection = state.collections.find(c => c.id === collectionId);
+      return collection ? collection.lists.some(l => isEntryItem(l) && l.url === url) : false;
+    },
+
     isListInAnyCollection: (repo) => {
       return state.collections.some(c => c.lists.some(l => l.repo === repo));
     },
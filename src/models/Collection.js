@@ -12,7 +12,7 @@ export const createCollection = ({ name, description = '', lists = [], color = '
     id: uuidv4(),
     name: name.trim(),
     description: description.trim(),
-    lists: lists, // Array of { repo, name, cate, addedAt }
+    lists: lists, // Array of list items and entry items (see createListItem / createEntryItem)
     color: color,
     createdAt: now,
     updatedAt: now,
@@ -20,11 +20,20 @@ export const createCollection = ({ name, description = '', lists = [], color = '
   };
 };
 
+/**
+ * Kinds of collection items; items saved before entries existed have no kind and are lists
+ */
+export const ITEM_KINDS = {
+  LIST: 'list',
+  ENTRY: 'entry',
+};
+
 /**
  * Create a list item for a collection
  */
 export const createListItem = ({ repo, name, cate }) => {
   return {
+    kind: ITEM_KINDS.LIST,
     repo,
     name,
     cate,
@@ -32,6 +41,31 @@ export const createListItem = ({ repo, name, cate }) => {
   };
 };
 
+/**
+ * Create an entry item for a collection: one link found inside an awesome-list README
+ */
+export const createEntryItem = ({ url, title, description = '', source = '', section = '' }) => {
+  return {
+    kind: ITEM_KINDS.ENTRY,
+    url,
+    title,
+    description,
+    source, // repo of the list the entry was found in
+    section,
+    addedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Check whether a collection item is a README entry rather than a whole list
+ */
+export const isEntryItem = (item) => item.kind === ITEM_KINDS.ENTRY;
+
+/**
+ * Key that identifies an item within a collection: the repo of a list, the URL of an entry
+ */
+export const getItemKey = (item) => (isEntryItem(item) ? item.url : item.repo);
+
 /**
  * Validate collection data
  */
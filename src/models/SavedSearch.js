@@ -0,0 +1,17 @@
+/**
+ * SavedSearch Model - Data structure for named search queries
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Create a saved search. Filters live in the query itself (cate:, repo:, -word, ...)
+ */
+export const createSavedSearch = ({ name, query }) => {
+  const trimmedQuery = query.trim();
+  return {
+    id: uuidv4(),
+    name: (name || '').trim() || trimmedQuery,
+    query: trimmedQuery,
+    createdAt: new Date().toISOString(),
+  };
+};
@@ -0,0 +1,171 @@
+/**
+ * Annotation Service - Private notes and highlighted passages on entries inside READMEs
+ * Annotations are anchored by the entry's URL rather than a DOM position, so they survive
+ * README updates; highlights are stored as the highlighted text and found again on render.
+ * Records are kept per repo and entry URL in localStorage:
+ *   { name, section, anchor, note, highlights: [text], updatedAt }
+ */
+import storageService from './storageService';
+
+const SEARCH_FIELDS = ['name', 'note', 'highlights'];
+
+/**
+ * Ranges ([start, end], inclusive end) of every occurrence of the terms in text
+ */
+const findIndices = (text, terms) => {
+  const lower = text.toLowerCase();
+  const indices = [];
+  terms.forEach((term) => {
+    for (let idx = lower.indexOf(term); idx !== -1; idx = lower.indexOf(term, idx + term.length)) {
+      indices.push([idx, idx + term.length - 1]);
+    }
+  });
+  return indices;
+};
+
+class AnnotationService {
+  /**
+   * Get annotations of every list, keyed by repo and then by entry URL
+   */
+  getAll() {
+    return storageService.getAnnotations();
+  }
+
+  /**
+   * Get the annotations of one list, keyed by entry URL
+   */
+  getForList(repo) {
+    return this.getAll()[repo] || {};
+  }
+
+  /**
+   * Get the annotation of an entry, or null
+   */
+  get(repo, url) {
+    return this.getForList(repo)[url] || null;
+  }
+
+  /**
+   * Apply changes to an entry's annotation; annotations left without note or highlights are dropped
+   */
+  update(repo, { url, name, section, anchor }, changes) {
+    const all = this.getAll();
+    const list = { ...(all[repo] || {}) };
+    const current = list[url] || { note: '', highlights: [] };
+    const next = {
+      ...current,
+      name: name || current.name || url,
+      section: section !== undefined ? section : current.section || '',
+      anchor: anchor !== undefined ? anchor : current.anchor || null,
+      ...changes(current),
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (next.note.trim() || next.highlights.length) {
+      list[url] = next;
+    } else {
+      delete list[url];
+    }
+    if (Object.keys(list).length) {
+      all[repo] = list;
+    } else {
+      delete all[repo];
+    }
+
+    storageService.saveAnnotations(all);
+    this.notifyUpdated();
+    return list[url] || null;
+  }
+
+  /**
+   * Set the note of an entry (an empty note removes it)
+   */
+  saveNote(repo, entry, note) {
+    return this.update(repo, entry, () => ({ note: note.trim() }));
+  }
+
+  /**
+   * Highlight a passage of an entry
+   */
+  addHighlight(repo, entry, text) {
+    const passage = text.replace(/\s+/g, ' ').trim();
+    if (!passage) return this.get(repo, entry.url);
+    return this.update(repo, entry, current => ({
+      highlights: current.highlights.includes(passage)
+        ? current.highlights
+        : [...current.highlights, passage],
+    }));
+  }
+
+  /**
+   * Remove one highlighted passage of an entry
+   */
+  removeHighlight(repo, entry, text) {
+    return this.update(repo, entry, current => ({
+      highlights: current.highlights.filter(highlight => highlight !== text),
+    }));
+  }
+
+  /**
+   * Remove the note and every highlight of an entry
+   */
+  remove(repo, entry) {
+    return this.update(repo, entry, () => ({ note: '', highlights: [] }));
+  }
+
+  /**
+   * Remove every annotation
+   */
+  clear() {
+    storageService.saveAnnotations({});
+    this.notifyUpdated();
+  }
+
+  /**
+   * Find annotations containing every word of the query, in the shape of search results:
+   * { item: { repo, url, name, section, anchor, note, highlights }, matches: [{ key, indices }] }
+   * with highlights joined into one string
+   */
+  search(query, limit = 10) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const results = [];
+    Object.entries(this.getAll()).forEach(([repo, entries]) => {
+      Object.entries(entries).forEach(([url, annotation]) => {
+        const item = {
+          repo,
+          url,
+          name: annotation.name,
+          section: annotation.section,
+          anchor: annotation.anchor,
+          note: annotation.note,
+          highlights: annotation.highlights.join(' … '),
+        };
+        const text = SEARCH_FIELDS.map(key => item[key]).join('\n').toLowerCase();
+        if (!terms.every(term => text.includes(term))) return;
+
+        const matches = SEARCH_FIELDS
+          .map(key => ({ key, indices: findIndices(item[key], terms) }))
+          .filter(match => match.indices.length > 0);
+        results.push({ item, matches, updatedAt: annotation.updatedAt });
+      });
+    });
+
+    return results
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, limit)
+      .map(({ item, matches }) => ({ item, matches }));
+  }
+
+  /**
+   * Let the app know annotations changed
+   */
+  notifyUpdated() {
+    try { window.dispatchEvent(new CustomEvent('annotationsUpdated')); } catch (e) {}
+  }
+}
+
+// Export singleton instance
+const annotationService = new AnnotationService();
+export default annotationService;
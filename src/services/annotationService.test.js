@@ -0,0 +1,67 @@
+import annotationService from './annotationService';
+import storageService from './storageService';
+
+const REPO = 'vinta/awesome-python';
+
+beforeEach(() => {
+  storageService.saveAnnotations({});
+});
+
+describe('imported annotations', () => {
+  it('are searchable when they miss fields', () => {
+    storageService.importAllData({
+      annotations: {
+        [REPO]: {
+          'https://github.com/ajenti/ajenti': { name: 'ajenti', note: 'Try on the homelab' },
+          'https://github.com/pallets/flask': { highlights: ['micro framework'] },
+        },
+      },
+    });
+
+    expect(annotationService.get(REPO, 'https://github.com/ajenti/ajenti')).toEqual({
+      name: 'ajenti',
+      section: '',
+      anchor: null,
+      note: 'Try on the homelab',
+      highlights: [],
+      updatedAt: '',
+    });
+    expect(annotationService.search('homelab').map(result => result.item.name)).toEqual(['ajenti']);
+    expect(annotationService.search('micro').map(result => result.item.name))
+      .toEqual(['https://github.com/pallets/flask']);
+  });
+
+  it('drop entries that are not annotations', () => {
+    storageService.importAllData({
+      annotations: {
+        [REPO]: {
+          'https://a.dev': 'just a string',
+          'https://b.dev': null,
+          'https://c.dev': { note: 42, highlights: 'not a list' },
+          'https://d.dev': { note: 'Keep me', highlights: ['ok', 7] },
+        },
+        'other/list': ['not', 'an', 'object'],
+      },
+    });
+
+    expect(Object.keys(annotationService.getAll())).toEqual([REPO]);
+    expect(annotationService.getForList(REPO)).toEqual({
+      'https://d.dev': expect.objectContaining({ note: 'Keep me', highlights: ['ok'] }),
+    });
+    expect(annotationService.search('keep')).toHaveLength(1);
+  });
+
+  it('keep the more recently updated side of an entry annotated on both', () => {
+    const url = 'https://github.com/ajenti/ajenti';
+    annotationService.saveNote(REPO, { url, name: 'ajenti' }, 'Local note');
+    const importNote = (note, updatedAt) => storageService.importAllData({
+      annotations: { [REPO]: { [url]: { note, updatedAt } } },
+    });
+
+    importNote('Older note', '2000-01-01T00:00:00.000Z');
+    expect(annotationService.get(REPO, url).note).toBe('Local note');
+
+    importNote('Newer note', '2999-01-01T00:00:00.000Z');
+    expect(annotationService.get(REPO, url).note).toBe('Newer note');
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Awesome Lint Service - Client-side quality report of a list, after the awesome-lint rules
+ * Checks a repo before it is added: the README is fetched as raw markdown and run through
+ * the rules below; the awesome topic, README and contributing file come from the GitHub API.
+ * A report looks like:
+ *   {
+ *     repo, createdAt, readme: 'README.md',
+ *     rules: [{ id, title, severity: 'error' | 'warning', passed, skipped, messages: [text] }],
+ *     counts: { errors, warnings },   // failed rules of each severity
+ *     passed,                         // no failed errors
+ *   }
+ */
+import axios from 'axios';
+import { normalizeUrl } from './compareService';
+import githubService from './githubService';
+import { parseMarkdown, stripInlineMarkdown } from './readmeParser';
+import { slugify } from './readmeService';
+
+export const LINT_RULES = [
+  { id: 'readme', title: 'README present', severity: 'error' },
+  { id: 'awesome-topic', title: 'Tagged with the awesome topic', severity: 'warning' },
+  { id: 'awesome-badge', title: 'Awesome badge next to the main heading', severity: 'error' },
+  { id: 'toc', title: 'Table of contents matches the headings', severity: 'error' },
+  { id: 'alphabetical-order', title: 'Entries in alphabetical order within sections', severity: 'warning' },
+  { id: 'description-period', title: 'Descriptions end with a period', severity: 'error' },
+  { id: 'no-duplicate-links', title: 'No duplicate links', severity: 'error' },
+  { id: 'contributing', title: 'Contributing guidelines', severity: 'error' },
+];
+
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_RE = /^\s*(```|~~~)/;
+const BADGE_RE = /awesome\.re\/badge|sindresorhus\/awesome\/[^)\s"']*\/media\/badge/i;
+const TOC_TITLE_RE = /^(table of )?contents$/i;
+const TOC_LINK_RE = /\[([^\]]*)\]\(\s*#([^)\s]+)\s*\)/g;
+// Sections that don't have to be listed in the table of contents
+const TOC_OPTIONAL_RE = /^(table of )?contents$|^contribut|^licen[cs]e$|^footnotes$/i;
+const DESCRIPTION_END_RE = /[.!?…]["'”’)\]]*$/;
+
+/**
+ * Headings of raw markdown (ATX and setext, outside code fences) as
+ * [{ level, title, slug, line, raw }]; slugs get GitHub's -1, -2 suffixes when repeated
+ */
+const parseHeadings = (lines) => {
+  const headings = [];
+  const used = new Map();
+  let inFence = false;
+
+  const push = (level, raw, line) => {
+    const title = stripInlineMarkdown(raw);
+    const base = slugify(title);
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    headings.push({ level, title, slug: count ? `${base}-${count}` : base, line, raw });
+  };
+
+  lines.forEach((text, idx) => {
+    if (FENCE_RE.test(text)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    const heading = text.match(HEADING_RE);
+    if (heading) {
+      push(heading[1].length, heading[2], idx);
+      return;
+    }
+    const next = lines[idx + 1];
+    if (next !== undefined && text.trim() && !/^\s*([-*+]|\d+[.)])\s/.test(text) && /^\s*(=+|-+)\s*$/.test(next)) {
+      push(next.trim()[0] === '=' ? 1 : 2, text, idx);
+    }
+  });
+
+  return headings;
+};
+
+/**
+ * The awesome badge belongs on the main heading (or above the first section without one)
+ */
+const checkBadge = (lines, headings) => {
+  const main = headings.find(h => h.level === 1);
+  if (main && BADGE_RE.test(lines[main.line])) return [];
+
+  if (!main) {
+    const firstSection = headings.length ? headings[0].line : lines.length;
+    if (lines.slice(0, firstSection).some(line => BADGE_RE.test(line))) return [];
+  }
+  return lines.some(line => BADGE_RE.test(line))
+    ? ['The awesome badge is not next to the main heading']
+    : ['No awesome badge (https://awesome.re/badge.svg) found'];
+};
+
+/**
+ * Every table of contents link has to lead to a heading, and every section
+ * (second-level heading after the table of contents) has to be linked
+ */
+const checkToc = (lines, headings) => {
+  const tocIndex = headings.findIndex(h => TOC_TITLE_RE.test(h.title));
+  if (tocIndex === -1) return ['No "Contents" section'];
+
+  const toc = headings[tocIndex];
+  const end = headings.slice(tocIndex + 1).find(h => h.level <= toc.level);
+  const links = [];
+  lines.slice(toc.line + 1, end ? end.line : lines.length).forEach((line) => {
+    line.replace(TOC_LINK_RE, (match, title, target) => {
+      let anchor = target;
+      try { anchor = decodeURIComponent(target); } catch (e) {}
+      links.push({ title: stripInlineMarkdown(title), anchor: anchor.toLowerCase() });
+      return match;
+    });
+  });
+  if (links.length === 0) return ['The "Contents" section has no links'];
+
+  const messages = [];
+  const slugs = new Set(headings.map(h => h.slug));
+  links
+    .filter(link => !slugs.has(link.anchor))
+    .forEach(link => messages.push(`"${link.title}" links to #${link.anchor}, which is not a heading`));
+
+  const linked = new Set(links.map(link => link.anchor));
+  headings
+    .slice(tocIndex + 1)
+    .filter(h => h.level === 2 && !TOC_OPTIONAL_RE.test(h.title) && !linked.has(h.slug))
+    .forEach(h => messages.push(`Section "${h.title}" is missing from the table of contents`));
+
+  return messages;
+};
+
+/**
+ * Entries sharing a section, parent entry and depth should be sorted by name;
+ * reports the first misplaced entry of each group. Sections are told apart by position,
+ * since two headings may share a title.
+ */
+const checkOrder = (records) => {
+  const sortKey = name => name.toLowerCase().replace(/^[^\p{L}\p{N}]+/u, '');
+  const groups = new Map();
+  let sectionRun = 0;
+  records.forEach((record, idx) => {
+    if (idx > 0 && records[idx - 1].section !== record.section) sectionRun++;
+    const key = [sectionRun, record.parent, record.depth].join('\u0000');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  const messages = [];
+  groups.forEach((group) => {
+    const idx = group.findIndex((record, i) => i > 0 && sortKey(group[i - 1].name)
+      .localeCompare(sortKey(record.name), 'en', { sensitivity: 'base', numeric: true }) > 0);
+    if (idx === -1) return;
+    const { section } = group[idx];
+    messages.push(`${section || 'Top level'}: "${group[idx].name}" should come before "${group[idx - 1].name}"`);
+  });
+  return messages;
+};
+
+/**
+ * Descriptions, when present, end with a period (or ! and ?)
+ */
+const checkDescriptions = (records) => records
+  .filter(record => record.description && !DESCRIPTION_END_RE.test(record.description))
+  .map(record => `"${record.name}"${record.section ? ` in ${record.section}` : ''}`);
+
+/**
+ * Each URL is listed once
+ */
+const checkDuplicates = (records) => {
+  const byUrl = new Map();
+  records
+    .filter(record => /^https?:\/\//i.test(record.url))
+    .forEach((record) => {
+      const key = normalizeUrl(record.url);
+      if (!byUrl.has(key)) byUrl.set(key, []);
+      byUrl.get(key).push(record);
+    });
+
+  return Array.from(byUrl.values())
+    .filter(group => group.length > 1)
+    .map(group => `${group[0].url} is linked ${group.length} times (${group.map(r => r.name).join(', ')})`);
+};
+
+class AwesomeLintService {
+  /**
+   * Run the README rules on raw markdown. `hasReadme`, `hasAwesomeTopic` and `hasContributing`
+   * come from the repo; rules whose input is unknown (null) are skipped. `filesError` explains
+   * a missing README when the repo's files could not be listed.
+   * Returns the rules part of a report: { rules, counts, passed }
+   */
+  lintReadme(markdown, {
+    hasReadme = true,
+    hasAwesomeTopic = null,
+    hasContributing = null,
+    filesError = null,
+  } = {}) {
+    const lines = hasReadme ? (markdown || '').replace(/\r\n?/g, '\n').split('\n') : [];
+    const headings = parseHeadings(lines);
+    const records = hasReadme ? parseMarkdown(markdown || '') : [];
+
+    const checks = {
+      readme: () => (hasReadme ? [] : [filesError
+        ? `No README found; the repo's files could not be listed (${filesError})`
+        : 'No README in the repo root']),
+      'awesome-topic': () => (hasAwesomeTopic === null ? null
+        : hasAwesomeTopic ? [] : ['The repo has neither the awesome topic nor "awesome" in its name']),
+      'awesome-badge': () => (hasReadme ? checkBadge(lines, headings) : null),
+      toc: () => (hasReadme ? checkToc(lines, headings) : null),
+      'alphabetical-order': () => (hasReadme ? checkOrder(records) : null),
+      'description-period': () => (hasReadme ? checkDescriptions(records) : null),
+      'no-duplicate-links': () => (hasReadme ? checkDuplicates(records) : null),
+      contributing: () => (hasContributing === null ? null
+        : hasContributing ? [] : ['No contributing.md in the repo root or .github/']),
+    };
+
+    const rules = LINT_RULES.map((rule) => {
+      const messages = checks[rule.id]();
+      return {
+        ...rule,
+        passed: messages !== null && messages.length === 0,
+        skipped: messages === null,
+        messages: messages || [],
+      };
+    });
+    const failed = severity => rules.filter(r => !r.passed && !r.skipped && r.severity === severity).length;
+    const counts = { errors: failed('error'), warnings: failed('warning') };
+
+    return { rules, counts, passed: counts.errors === 0 };
+  }
+
+  /**
+   * Fetch a repo's README and files and lint them. Rejects when the repo can't be
+   * looked up (not found, rate limit, offline); the error carries the HTTP status.
+   */
+  async lintList(owner, repo) {
+    const validation = await githubService.validateAwesomeList(owner, repo);
+    if (validation.error) {
+      const error = new Error(validation.status === 404
+        ? `${owner}/${repo} was not found on GitHub`
+        : `Could not check ${owner}/${repo}: ${validation.error}`);
+      error.status = validation.status;
+      throw error;
+    }
+
+    const { readme, contributing, hasAwesomeTopic, contentsError } = validation;
+    let markdown = '';
+    if (readme) {
+      const response = await axios.get(readme.downloadUrl, { responseType: 'text' });
+      markdown = typeof response.data === 'string' ? response.data : '';
+    }
+
+    return {
+      repo: validation.repo.repo,
+      createdAt: new Date().toISOString(),
+      readme: readme ? readme.path : null,
+      ...this.lintReadme(markdown, {
+        hasReadme: !!readme,
+        hasAwesomeTopic,
+        // Unknown when the repo's files couldn't be listed
+        hasContributing: contentsError ? null : !!contributing,
+        filesError: contentsError,
+      }),
+    };
+  }
+}
+
+// Export singleton instance
+const awesomeLintService = new AwesomeLintService();
+export default awesomeLintService;
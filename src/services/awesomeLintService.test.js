@@ -0,0 +1,252 @@
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import awesomeLintService, { LINT_RULES } from './awesomeLintService';
+import githubService from './githubService';
+
+jest.mock('axios');
+
+const passing = fs.readFileSync(path.join(__dirname, '__fixtures__', 'awesome-lint-pass.md'), 'utf8');
+const repoFacts = { hasAwesomeTopic: true, hasContributing: true };
+
+const lint = (markdown, options = repoFacts) => awesomeLintService.lintReadme(markdown, options);
+const rule = (report, id) => report.rules.find(r => r.id === id);
+
+// The passing fixture with one change, so each case fails a single rule
+const variant = (search, replacement) => {
+  expect(passing).toContain(search);
+  return passing.replace(search, replacement);
+};
+
+describe('lintReadme', () => {
+  it('passes a list that follows every rule', () => {
+    const report = lint(passing);
+    expect(report.rules.filter(r => !r.passed)).toEqual([]);
+    expect(report).toMatchObject({ passed: true, counts: { errors: 0, warnings: 0 } });
+    expect(report.rules.map(r => r.id)).toEqual(LINT_RULES.map(r => r.id));
+  });
+
+  it('skips the rules whose repo facts are unknown', () => {
+    const report = lint(passing, {});
+    expect(rule(report, 'awesome-topic').skipped).toBe(true);
+    expect(rule(report, 'contributing').skipped).toBe(true);
+    expect(report.passed).toBe(true);
+  });
+
+  it('fails a repo without a README and skips the README rules', () => {
+    const report = lint('', { ...repoFacts, hasReadme: false });
+    expect(rule(report, 'readme')).toMatchObject({ passed: false, messages: ['No README in the repo root'] });
+    ['awesome-badge', 'toc', 'alphabetical-order', 'description-period', 'no-duplicate-links']
+      .forEach(id => expect(rule(report, id).skipped).toBe(true));
+    expect(report.passed).toBe(false);
+  });
+
+  it('explains a missing README when the files could not be listed', () => {
+    const report = lint('', { ...repoFacts, hasReadme: false, filesError: 'Request failed with status code 404' });
+    expect(rule(report, 'readme').messages[0]).toMatch(/could not be listed \(Request failed with status code 404\)/);
+  });
+
+  it('warns about a repo without the awesome topic', () => {
+    const report = lint(passing, { ...repoFacts, hasAwesomeTopic: false });
+    expect(rule(report, 'awesome-topic').passed).toBe(false);
+    expect(report).toMatchObject({ passed: true, counts: { errors: 0, warnings: 1 } });
+  });
+
+  it('fails a repo without contributing guidelines', () => {
+    const report = lint(passing, { ...repoFacts, hasContributing: false });
+    expect(rule(report, 'contributing').passed).toBe(false);
+    expect(report).toMatchObject({ passed: false, counts: { errors: 1, warnings: 0 } });
+  });
+
+  describe('awesome-badge', () => {
+    const badge = ' [![Awesome](https://awesome.re/badge.svg)](https://awesome.re)';
+
+    it('fails without a badge', () => {
+      expect(rule(lint(variant(badge, '')), 'awesome-badge').messages)
+        .toEqual(['No awesome badge (https://awesome.re/badge.svg) found']);
+    });
+
+    it('fails when the badge is not on the main heading', () => {
+      const markdown = variant(badge, '').replace('> A curated list', `${badge.trim()}\n\n> A curated list`);
+      expect(rule(lint(markdown), 'awesome-badge').messages)
+        .toEqual(['The awesome badge is not next to the main heading']);
+    });
+
+    it('accepts the badge on a setext main heading and the older badge URL', () => {
+      const markdown = variant(
+        `# Awesome Widgets${badge}`,
+        'Awesome Widgets [![Awesome](https://cdn.rawgit.com/sindresorhus/awesome/d7305f38/media/badge.svg)](x)\n================'
+      );
+      expect(rule(lint(markdown), 'awesome-badge').passed).toBe(true);
+    });
+
+    it('accepts the badge above the first section when there is no main heading', () => {
+      const markdown = variant(`# Awesome Widgets${badge}`, `<h1>Awesome Widgets</h1>\n\n${badge.trim()}`);
+      expect(rule(lint(markdown), 'awesome-badge').passed).toBe(true);
+    });
+  });
+
+  describe('toc', () => {
+    it('fails without a Contents section', () => {
+      expect(rule(lint(variant('## Contents', '## Overview')), 'toc').messages)
+        .toEqual(['No "Contents" section']);
+    });
+
+    it('fails a Contents section without links', () => {
+      const markdown = passing.replace(/^\s*- \[[^\]]+\]\(#[^)]+\)\n/gm, '');
+      expect(rule(lint(markdown), 'toc').messages).toEqual(['The "Contents" section has no links']);
+    });
+
+    it('fails a link to a heading that does not exist', () => {
+      expect(rule(lint(variant('(#command-line)', '(#command-lines)')), 'toc').messages)
+        .toEqual(['"Command Line" links to #command-lines, which is not a heading']);
+    });
+
+    it('fails a section missing from the table of contents', () => {
+      expect(rule(lint(variant('- [🚀 Launchers](#-launchers)\n', '')), 'toc').messages)
+        .toEqual(['Section "🚀 Launchers" is missing from the table of contents']);
+    });
+
+    it('suffixes repeated heading slugs the way GitHub does', () => {
+      // The setext "Tools" heading is the second one, so only #tools-1 reaches it
+      expect(rule(lint(variant('(#tools-1)', '(#tools)')), 'toc').messages)
+        .toEqual(['Section "Tools" is missing from the table of contents']);
+    });
+
+    it('does not require Contributing and License in the table of contents', () => {
+      const markdown = variant('## License', '## Sponsors');
+      expect(rule(lint(passing), 'toc').passed).toBe(true);
+      expect(rule(lint(markdown), 'toc').messages)
+        .toEqual(['Section "Sponsors" is missing from the table of contents']);
+    });
+  });
+
+  describe('alphabetical-order', () => {
+    it('warns about the first misplaced entry of a section', () => {
+      const markdown = variant('- [Gizmo](https://gizmo.dev) - Is it a widget?\n- [Thingamajig](https://thingamajig.dev)',
+        '- [Thingamajig](https://thingamajig.dev)\n- [Gizmo](https://gizmo.dev) - Is it a widget?');
+      const report = lint(markdown);
+      expect(rule(report, 'alphabetical-order').messages)
+        .toEqual(['Awesome Widgets > Libraries & Frameworks: "Gizmo" should come before "Thingamajig"']);
+      expect(report).toMatchObject({ passed: true, counts: { warnings: 1 } });
+    });
+
+    it('compares nested entries only with their siblings', () => {
+      const markdown = variant('[cli-plugin-a](https://cli.dev/a) - First plugin.\n\t- [cli-plugin-b](https://cli.dev/b) - Second plugin.',
+        '[cli-plugin-b](https://cli.dev/b) - Second plugin.\n\t- [cli-plugin-a](https://cli.dev/a) - First plugin.');
+      expect(rule(lint(markdown), 'alphabetical-order').messages)
+        .toEqual(['Awesome Widgets > Tools > Command Line: "cli-plugin-a" should come before "cli-plugin-b"']);
+    });
+  });
+
+  describe('description-period', () => {
+    it('fails descriptions without closing punctuation', () => {
+      const markdown = variant('Does beta things.', 'Does beta things')
+        .replace('Launches widgets.', 'Launches widgets');
+      expect(rule(lint(markdown), 'description-period').messages).toEqual([
+        '"Beta" in Awesome Widgets > Tools',
+        '"Rocket" in Awesome Widgets > 🚀 Launchers',
+      ]);
+    });
+  });
+
+  describe('no-duplicate-links', () => {
+    it('fails a URL listed twice, also when written differently', () => {
+      const markdown = variant('[Again](https://again.dev)', '[Again](http://www.Gizmo.dev/)');
+      expect(rule(lint(markdown), 'no-duplicate-links').messages)
+        .toEqual(['https://gizmo.dev is linked 2 times (Gizmo, Again)']);
+    });
+  });
+});
+
+describe('lintList', () => {
+  const API = 'https://api.github.com/repos';
+  const RAW = 'https://raw.githubusercontent.com';
+
+  const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status },
+  });
+
+  // GitHub API answers by URL; anything else is a 404
+  const stubGitHub = (owner, repo, routes) => {
+    const repoData = {
+      name: repo,
+      full_name: `${owner}/${repo}`,
+      topics: ['awesome'],
+      owner: { login: owner },
+    };
+    const answers = {
+      [`${API}/${owner}/${repo}`]: repoData,
+      [`${RAW}/${owner}/${repo}/main/README.md`]: passing,
+      ...routes,
+    };
+    axios.get.mockImplementation((url) => {
+      const answer = answers[url];
+      if (answer instanceof Error) return Promise.reject(answer);
+      return answer === undefined ? Promise.reject(httpError(404)) : Promise.resolve({ data: answer });
+    });
+  };
+
+  const file = (owner, repo, name, type = 'file') => ({
+    name,
+    path: name,
+    type,
+    download_url: type === 'file' ? `${RAW}/${owner}/${repo}/main/${name}` : null,
+  });
+
+  // githubService caches lookups, so every case uses its own owner; failed requests are logged
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    axios.get.mockReset();
+  });
+
+  it('lints the README and checks the contributing file from the repo contents', async () => {
+    stubGitHub('a', 'awesome-widgets', {
+      [`${API}/a/awesome-widgets/contents/`]: [file('a', 'awesome-widgets', 'README.md')],
+    });
+
+    const report = await awesomeLintService.lintList('a', 'awesome-widgets');
+    expect(report).toMatchObject({ repo: 'a/awesome-widgets', readme: 'README.md', passed: false });
+    expect(report.rules.filter(r => !r.passed).map(r => r.id)).toEqual(['contributing']);
+  });
+
+  it('finds the README through the readme endpoint when the contents cannot be listed', async () => {
+    stubGitHub('b', 'awesome-widgets', {
+      [`${API}/b/awesome-widgets/contents/`]: httpError(403),
+      [`${API}/b/awesome-widgets/readme`]: file('b', 'awesome-widgets', 'README.md'),
+    });
+
+    const validation = await githubService.validateAwesomeList('b', 'awesome-widgets');
+    expect(validation).toMatchObject({
+      isValid: true,
+      hasReadme: true,
+      contentsError: 'Request failed with status code 403',
+    });
+
+    const report = await awesomeLintService.lintList('b', 'awesome-widgets');
+    expect(report).toMatchObject({ readme: 'README.md', passed: true, counts: { errors: 0, warnings: 0 } });
+    expect(rule(report, 'contributing').skipped).toBe(true);
+    expect(axios.get).toHaveBeenCalledWith(`${RAW}/b/awesome-widgets/main/README.md`, { responseType: 'text' });
+  });
+
+  it('explains a missing README when neither the contents nor the readme endpoint answer', async () => {
+    stubGitHub('c', 'awesome-widgets', {
+      [`${API}/c/awesome-widgets/contents/`]: httpError(404),
+    });
+
+    const report = await awesomeLintService.lintList('c', 'awesome-widgets');
+    expect(report.readme).toBeNull();
+    expect(rule(report, 'readme').messages[0]).toMatch(/could not be listed/);
+    expect(rule(report, 'contributing').skipped).toBe(true);
+  });
+
+  it('rejects a repo that does not exist', async () => {
+    stubGitHub('d', 'awesome-widgets', { [`${API}/d/awesome-widgets`]: httpError(404) });
+    await expect(awesomeLintService.lintList('d', 'awesome-widgets'))
+      .rejects.toMatchObject({ message: 'd/awesome-widgets was not found on GitHub', status: 404 });
+  });
+});
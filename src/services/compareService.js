@@ -0,0 +1,48 @@
+/**
+ * Compare Service - Link overlap between two awesome lists
+ * Entries are matched by a normalized URL, so http/https, "www.", letter case of the host,
+ * trailing slashes and fragments don't make the same link look different.
+ */
+
+/**
+ * Normalize a URL for comparison; returns the input unchanged when it can't be parsed
+ */
+export const normalizeUrl = (url = '') => {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '').replace(/\.git$/i, '');
+    // GitHub paths are case-insensitive too
+    const normalizedPath = host === 'github.com' ? path.toLowerCase() : path;
+    return `${host}${normalizedPath}${parsed.search}`;
+  } catch (e) {
+    return url;
+  }
+};
+
+/**
+ * Split the entries ({ name, url, section }) of two lists into shared and unique links.
+ * Shared items are { url, a, b } with the entry from each list; each link counts once.
+ */
+export const compareEntries = (entriesA = [], entriesB = []) => {
+  const index = (entries) => {
+    const map = new Map();
+    entries.forEach((entry) => {
+      const key = normalizeUrl(entry.url);
+      if (!map.has(key)) map.set(key, entry);
+    });
+    return map;
+  };
+  const a = index(entriesA);
+  const b = index(entriesB);
+
+  const shared = [];
+  const onlyA = [];
+  a.forEach((entry, key) => {
+    if (b.has(key)) shared.push({ url: key, a: entry, b: b.get(key) });
+    else onlyA.push(entry);
+  });
+  const onlyB = Array.from(b.entries()).filter(([key]) => !a.has(key)).map(([, entry]) => entry);
+
+  return { shared, onlyA, onlyB, totalA: a.size, totalB: b.size };
+};
@@ -0,0 +1,173 @@
+/**
+ * Content Index Service - Opt-in full-text index over the entries inside awesome-list READMEs
+ * READMEs are fetched through readmeService, reduced to link entries and stored in IndexedDB;
+ * the searchable index itself lives in the search worker (see searchService)
+ */
+import dbService, { DB_STORES } from './dbService';
+import listChangesService from './listChangesService';
+import readmeService from './readmeService';
+import { parseHtml } from './readmeParser';
+import searchService from './searchService';
+import storageService from './storageService';
+
+const STORE = DB_STORES.README_INDEX.name;
+const INDEX_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Extract link entries ({ name, url, description, section }) from README HTML.
+ * Only external links are indexed; badges and nesting details from the parser are dropped.
+ */
+const extractEntries = (html) => parseHtml(html)
+  .filter(record => /^https?:\/\//i.test(record.url))
+  .map(({ name, url, description, section }) => ({ name, url, description, section }));
+
+class ContentIndexService {
+  constructor() {
+    this.records = null; // Map of repo -> index record, loaded lazily
+    this.loadPromise = null;
+  }
+
+  /**
+   * Check whether the user opted into full-text search
+   */
+  isEnabled() {
+    return !!storageService.getPreferences().fullTextSearch;
+  }
+
+  /**
+   * Load all index records from IndexedDB into memory
+   */
+  load() {
+    if (this.loadPromise) return this.loadPromise;
+
+    this.loadPromise = dbService.getAll(STORE)
+      .then((records) => {
+        this.records = new Map(records.map(r => [r.repo, r]));
+        searchService.setContent(records);
+        return this.records;
+      })
+      .catch((error) => {
+        console.error('Error loading README index:', error);
+        this.records = new Map();
+        return this.records;
+      });
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Store parsed entries for a repo
+   */
+  async saveRecord(repo, entries) {
+    await this.load();
+    const record = { repo, entries, indexedAt: new Date().toISOString() };
+    await dbService.put(STORE, record);
+    this.records.set(repo, record);
+    searchService.upsertContent(record);
+    this.notifyUpdated();
+    return record;
+  }
+
+  /**
+   * Index README HTML that has already been fetched (e.g. by the README viewer)
+   */
+  indexHtml({ user, repo }, html) {
+    return this.saveRecord(`${user}/${repo}`, extractEntries(html));
+  }
+
+  /**
+   * Fetch and index a single list; the fresh README also updates its "since last visit" counts
+   */
+  async indexList(repo) {
+    const [user, name] = repo.split('/');
+    const { html } = await readmeService.fetchReadme(user, name);
+    listChangesService.recordRefresh(repo, html).catch(() => {});
+    return this.indexHtml({ user, repo: name }, html);
+  }
+
+  /**
+   * Check whether a stored record is older than the max age
+   */
+  isStale(record) {
+    return !record || Date.now() - new Date(record.indexedAt).getTime() > INDEX_MAX_AGE;
+  }
+
+  /**
+   * Index many lists with bounded concurrency, skipping fresh records
+   */
+  async buildIndex(repos, options = {}) {
+    const {
+      concurrency = DEFAULT_CONCURRENCY,
+      force = false,
+      onProgress,
+      signal,
+    } = options;
+
+    await this.load();
+    const queue = repos.filter(repo => force || this.isStale(this.records.get(repo)));
+    const progress = { total: queue.length, done: 0, failed: 0 };
+    if (onProgress) onProgress({ ...progress });
+
+    const worker = async () => {
+      while (queue.length && !(signal && signal.aborted)) {
+        const repo = queue.shift();
+        try {
+          await this.indexList(repo);
+        } catch (error) {
+          progress.failed++;
+        }
+        progress.done++;
+        if (onProgress) onProgress({ ...progress });
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    return progress;
+  }
+
+  /**
+   * Search entries across all indexed READMEs (rejects with AbortError when superseded)
+   */
+  async search(query, limit = 20) {
+    if (!query || !query.trim()) return [];
+    await this.load();
+    if (this.records.size === 0) return [];
+    return searchService.searchContent(query, { limit });
+  }
+
+  /**
+   * Get index statistics
+   */
+  async getStats() {
+    await this.load();
+    let entries = 0;
+    this.records.forEach((record) => {
+      entries += record.entries.length;
+    });
+    return { lists: this.records.size, entries };
+  }
+
+  /**
+   * Remove every stored record
+   */
+  async clear() {
+    await dbService.clear(STORE);
+    this.records = new Map();
+    searchService.setContent([]);
+    this.loadPromise = Promise.resolve(this.records);
+    this.notifyUpdated();
+  }
+
+  /**
+   * Let the app know the index changed
+   */
+  notifyUpdated() {
+    try { window.dispatchEvent(new CustomEvent('contentIndexUpdated')); } catch (e) {}
+  }
+}
+
+// Export singleton instance
+const contentIndexService = new ContentIndexService();
+export default contentIndexService;
+export { extractEntries };
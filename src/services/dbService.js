@@ -0,0 +1,112 @@
+/**
+ * DB Service - Promise-based IndexedDB wrapper for data too large for localStorage
+ * Object stores are declared in DB_STORES and created on upgrade when missing
+ */
+
+const DB_NAME = 'awesome_search';
+const DB_VERSION = 4;
+const DB_STORES = {
+  README_INDEX: { name: 'readme_index', keyPath: 'repo' },
+  README_CACHE: { name: 'readme_cache', keyPath: 'repo' },
+  LIST_SNAPSHOTS: { name: 'list_snapshots', keyPath: 'repo' },
+  LINK_HEALTH: { name: 'link_health', keyPath: 'url' },
+};
+
+class DBService {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Check if IndexedDB is available in this environment
+   */
+  isSupported() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+
+  /**
+   * Open (and upgrade if needed) the database, reusing the connection
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    if (!this.isSupported()) {
+      return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(DB_STORES).forEach(({ name, keyPath }) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath });
+          }
+        });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against a store and resolve with its result
+   */
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Get a record by key
+   */
+  get(storeName, key) {
+    return this.run(storeName, 'readonly', store => store.get(key));
+  }
+
+  /**
+   * Get all records in a store
+   */
+  getAll(storeName) {
+    return this.run(storeName, 'readonly', store => store.getAll());
+  }
+
+  /**
+   * Insert or replace a record
+   */
+  put(storeName, value) {
+    return this.run(storeName, 'readwrite', store => store.put(value));
+  }
+
+  /**
+   * Delete a record by key
+   */
+  delete(storeName, key) {
+    return this.run(storeName, 'readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Remove every record in a store
+   */
+  clear(storeName) {
+    return this.run(storeName, 'readwrite', store => store.clear());
+  }
+}
+
+// Export singleton instance
+const dbService = new DBService();
+export default dbService;
+export { DB_STORES };
@@ -4,6 +4,39 @@
  */
 import { saveAs } from 'file-saver';
 import storageService from './storageService';
+import { isEntryItem } from '../models/Collection';
+
+/**
+ * Escape text for use inside the exported HTML page
+ */
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Quote a CSV field
+ */
+const csvField = (value = '') => `"${String(value).replace(/"/g, '""')}"`;
+
+/**
+ * Split collection items into whole lists and README entries
+ */
+const splitItems = (collection) => ({
+  lists: collection.lists.filter(item => !isEntryItem(item)),
+  entries: collection.lists.filter(isEntryItem),
+});
+
+/**
+ * Group items by a key, keeping first-seen order
+ */
+const groupBy = (items, getKey) => items.reduce((groups, item) => {
+  const key = getKey(item);
+  if (!groups[key]) groups[key] = [];
+  groups[key].push(item);
+  return groups;
+}, {});
 
 class ExportService {
   /**
@@ -26,23 +59,35 @@ class ExportService {
     md += `> Created: ${new Date(collection.createdAt).toLocaleDateString()}\n`;
     md += `> Last Updated: ${new Date(collection.updatedAt).toLocaleDateString()}\n\n`;
     
-    md += `## Lists (${collection.lists.length})\n\n`;
+    const { lists, entries } = splitItems(collection);
+    md += `## Lists (${lists.length})\n\n`;
     
     // Group by category
-    const byCategory = {};
-    collection.lists.forEach(list => {
-      const cate = list.cate || 'Uncategorized';
-      if (!byCategory[cate]) byCategory[cate] = [];
-      byCategory[cate].push(list);
-    });
+    const byCategory = groupBy(lists, list => list.cate || 'Uncategorized');
     
-    Object.entries(byCategory).forEach(([category, lists]) => {
+    Object.entries(byCategory).forEach(([category, categoryLists]) => {
       md += `### ${category}\n\n`;
-      lists.forEach(list => {
+      categoryLists.forEach(list => {
         md += `- [${list.name}](https://github.com/${list.repo})\n`;
       });
       md += '\n';
     });
+
+    if (entries.length > 0) {
+      md += `## Entries (${entries.length})\n\n`;
+
+      // Group by the list each entry was found in, then by its section there
+      Object.entries(groupBy(entries, entry => entry.source || '')).forEach(([source, sourceEntries]) => {
+        md += source ? `### From [${source}](https://github.com/${source})\n\n` : '### Other\n\n';
+        Object.entries(groupBy(sourceEntries, entry => entry.section || '')).forEach(([section, items]) => {
+          if (section) md += `#### ${section}\n\n`;
+          items.forEach(entry => {
+            md += `- [${entry.title}](${entry.url})${entry.description ? ` - ${entry.description}` : ''}\n`;
+          });
+          md += '\n';
+        });
+      });
+    }
     
     return md;
   }
@@ -51,9 +96,16 @@ class ExportService {
    * Export collection to HTML
    */
   collectionToHTML(collection) {
-    const listItems = collection.lists.map(list => 
+    const { lists, entries } = splitItems(collection);
+    const listItems = lists.map(list => 
       `<li><a href="https://github.com/${list.repo}" target="_blank">${list.name}</a> <small>(${list.cate || 'Uncategorized'})</small></li>`
     ).join('\n        ');
+    const entryItems = entries.map(entry => {
+      const origin = [entry.source, entry.section].filter(Boolean).map(escapeHtml).join(' › ');
+      return `<li><a href="${escapeHtml(entry.url)}" target="_blank">${escapeHtml(entry.title)}</a>`
+        + `${entry.description ? ` - ${escapeHtml(entry.description)}` : ''}`
+        + `${origin ? ` <small>(from ${origin})</small>` : ''}</li>`;
+    }).join('\n        ');
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -120,12 +172,16 @@ class ExportService {
         <p class="meta">
             Created: ${new Date(collection.createdAt).toLocaleDateString()} | 
             Updated: ${new Date(collection.updatedAt).toLocaleDateString()} |
-            ${collection.lists.length} lists
+            ${lists.length} lists${entries.length ? `, ${entries.length} entries` : ''}
         </p>
         <h2>Lists</h2>
         <ul>
         ${listItems}
         </ul>
+        ${entries.length ? `<h2>Entries</h2>
+        <ul>
+        ${entryItems}
+        </ul>` : ''}
     </div>
 </body>
 </html>`;
@@ -135,14 +191,15 @@ class ExportService {
    * Export collection to CSV
    */
   collectionToCSV(collection) {
-    const headers = ['Name', 'Repository', 'Category', 'GitHub URL', 'Added At'];
-    const rows = collection.lists.map(list => [
-      `"${list.name.replace(/"/g, '""')}"`,
-      `"${list.repo}"`,
-      `"${list.cate || ''}"`,
-      `"https://github.com/${list.repo}"`,
-      `"${list.addedAt || ''}"`,
-    ]);
+    // Entry rows leave the list columns empty and fill the ones after "Added At"
+    const headers = [
+      'Name', 'Repository', 'Category', 'GitHub URL', 'Added At',
+      'Type', 'URL', 'Description', 'Source List', 'Section',
+    ];
+    const rows = collection.lists.map(item => (isEntryItem(item)
+      ? [item.title, '', '', '', item.addedAt, 'entry', item.url, item.description, item.source, item.section]
+      : [item.name, item.repo, item.cate, `https://github.com/${item.repo}`, item.addedAt, 'list', '', '', '', '']
+    ).map(value => csvField(value || '')));
     
     return [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
   }
@@ -176,6 +233,64 @@ class ExportService {
     return md;
   }
 
+  /**
+   * Export a link check report (see linkCheckService.buildReport) to Markdown,
+   * listing the links that need attention first
+   */
+  linkReportToMarkdown(report) {
+    const { counts } = report;
+    let md = `# Link check: ${report.repo}\n\n`;
+    md += `> Created: ${new Date(report.createdAt).toLocaleString()}\n\n`;
+    md += `| Status | Links |\n| --- | ---: |\n`;
+    ['ok', 'redirected', 'broken', 'archived', 'unknown', 'unchecked'].forEach(status => {
+      if (counts[status]) md += `| ${status} | ${counts[status]} |\n`;
+    });
+    md += '\n';
+
+    const sections = [
+      ['Broken', 'broken'],
+      ['Redirected', 'redirected'],
+      ['Archived', 'archived'],
+      ['Undetermined', 'unknown'],
+    ];
+    sections.forEach(([title, status]) => {
+      const links = report.links.filter(link => link.status === status);
+      if (links.length === 0) return;
+      md += `## ${title} (${links.length})\n\n`;
+      links.forEach(link => {
+        const details = [
+          link.section,
+          link.httpStatus && `HTTP ${link.httpStatus}`,
+          link.finalUrl && `→ ${link.finalUrl}`,
+          link.error,
+        ].filter(Boolean).join(' · ');
+        md += `- [${link.name}](${link.url})${details ? ` - ${details}` : ''}\n`;
+      });
+      md += '\n';
+    });
+
+    return md;
+  }
+
+  /**
+   * Export a link check report to CSV, one row per link
+   */
+  linkReportToCSV(report) {
+    const headers = ['Name', 'URL', 'Section', 'Status', 'HTTP Status', 'Final URL', 'Error', 'Checked At'];
+    const rows = report.links.map(link => [
+      link.name,
+      link.url,
+      link.section,
+      link.status || 'unchecked',
+      link.httpStatus,
+      link.finalUrl,
+      link.error,
+      link.checkedAt,
+    ].map(value => csvField(value || '')));
+
+    return [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+  }
+
   /**
    * Export all user data
    */
@@ -192,6 +307,7 @@ class ExportService {
       preferences: storageService.getPreferences(),
       listConfig: storageService.getListConfig(),
       aiSettings: { ...storageService.getAISettings(), apiKey: '' }, // Remove API key for security
+      synonyms: storageService.getSynonyms(),
     }, null, 2);
   }
 
@@ -271,6 +387,28 @@ class ExportService {
     }
   }
 
+  /**
+   * Download a link check report
+   */
+  downloadLinkReport(report, format = 'markdown') {
+    const safeName = `links-${report.repo.replace(/[^a-z0-9]/gi, '-').toLowerCase()}`;
+
+    switch (format.toLowerCase()) {
+      case 'json':
+        this.downloadFile(JSON.stringify(report, null, 2), `${safeName}.json`, 'application/json');
+        break;
+      case 'markdown':
+      case 'md':
+        this.downloadFile(this.linkReportToMarkdown(report), `${safeName}.md`, 'text/markdown');
+        break;
+      case 'csv':
+        this.downloadFile(this.linkReportToCSV(report), `${safeName}.csv`, 'text/csv');
+        break;
+      default:
+        throw new Error(`Unsupported format: ${format}`);
+    }
+  }
+
   /**
    * Export and download all user data
    */
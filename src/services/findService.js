@@ -0,0 +1,126 @@
+/**
+ * Find Service - In-document find for rendered README HTML
+ * Matches are searched in the concatenated text of a container, so a match may span
+ * several elements (e.g. a link followed by plain text); each match is wrapped in one
+ * or more <mark> elements that can be removed again without touching the rest of the DOM.
+ * Marks carry a data attribute, so independent sets of marks (e.g. find matches and the
+ * user's highlights) can live in the same document and be cleared separately.
+ */
+
+const MARK_ATTR = 'data-find-match';
+
+/**
+ * Build the RegExp for a query; throws a SyntaxError for invalid regex input
+ */
+export const buildPattern = (query, { caseSensitive = false, regex = false } = {}) => {
+  const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(source, caseSensitive ? 'g' : 'gi');
+};
+
+/**
+ * Text nodes under root with their offsets in the concatenated text; elements
+ * matching the `skip` selector are left out with everything inside them
+ */
+const collectTextNodes = (root, skip = null) => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        return /^(SCRIPT|STYLE)$/.test(node.nodeName) || (skip && node.matches(skip))
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_SKIP;
+      }
+      return NodeFilter.FILTER_ACCEPT;
+    },
+  });
+  const nodes = [];
+  let offset = 0;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    nodes.push({ node, start: offset, end: offset + node.nodeValue.length });
+    offset += node.nodeValue.length;
+  }
+  return nodes;
+};
+
+/**
+ * Wrap [start, end) of a text node in a mark and return the mark
+ */
+const wrapRange = (node, start, end, className, attr) => {
+  const target = start > 0 ? node.splitText(start) : node;
+  if (end - start < target.nodeValue.length) target.splitText(end - start);
+  const mark = document.createElement('mark');
+  mark.setAttribute(attr, '');
+  if (className) mark.className = className;
+  target.parentNode.insertBefore(mark, target);
+  mark.appendChild(target);
+  return mark;
+};
+
+/**
+ * Remove every mark added by highlightMatches, restoring the original text nodes
+ */
+export const clearHighlights = (root, attr = MARK_ATTR) => {
+  if (!root) return;
+  root.querySelectorAll(`mark[${attr}]`).forEach((mark) => {
+    const parent = mark.parentNode;
+    while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+    parent.removeChild(mark);
+    parent.normalize();
+  });
+};
+
+/**
+ * Highlight all matches of pattern inside root, leaving out elements matching `skip`.
+ * Returns one entry per match: the array of marks that make it up, in document order.
+ */
+export const highlightMatches = (root, pattern, className = '', attr = MARK_ATTR, skip = null) => {
+  clearHighlights(root, attr);
+  if (!root || !pattern) return [];
+
+  const nodes = collectTextNodes(root, skip);
+  const text = nodes.map(({ node }) => node.nodeValue).join('');
+  const ranges = [];
+  let match;
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      // Empty regex matches (e.g. "a*") would never advance
+      pattern.lastIndex++;
+      continue;
+    }
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  // Wrap from the end so splitting nodes never shifts the offsets still to be processed
+  const matches = [];
+  for (let i = ranges.length - 1; i >= 0; i--) {
+    const [start, end] = ranges[i];
+    const marks = [];
+    for (let j = nodes.length - 1; j >= 0; j--) {
+      const { node, start: nodeStart, end: nodeEnd } = nodes[j];
+      if (nodeEnd <= start || nodeStart >= end) continue;
+      marks.unshift(wrapRange(
+        node,
+        Math.max(start, nodeStart) - nodeStart,
+        Math.min(end, nodeEnd) - nodeStart,
+        className,
+        attr
+      ));
+    }
+    matches.unshift(marks);
+  }
+  return matches;
+};
+
+/**
+ * The closest heading (h1-h6) before an element in document order, or null
+ */
+export const findPrecedingHeading = (root, element) => {
+  let heading = null;
+  root.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((candidate) => {
+    if (candidate.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) {
+      heading = candidate;
+    }
+  });
+  return heading;
+};
@@ -0,0 +1,36 @@
+import { buildPattern, clearHighlights, highlightMatches } from './findService';
+
+const render = (html) => {
+  const root = document.createElement('div');
+  root.innerHTML = html;
+  return root;
+};
+
+const marked = root => Array.from(root.querySelectorAll('mark')).map(mark => mark.textContent);
+
+describe('highlightMatches', () => {
+  it('marks matches that span several elements', () => {
+    const root = render('<p><a href="#">Flask</a> - A micro framework.</p>');
+    const matches = highlightMatches(root, buildPattern('flask - a'));
+    expect(matches).toHaveLength(1);
+    expect(matches[0].map(mark => mark.textContent)).toEqual(['Flask', ' - A']);
+  });
+
+  it('leaves out elements matching the skip selector', () => {
+    const root = render(
+      '<ul><li id="entry"><a href="#">Django</a> - Web framework.'
+      + '<ul><li><a href="#">awesome-django</a> - Web framework extras.</li></ul></li></ul>'
+    );
+    highlightMatches(root.querySelector('#entry'), buildPattern('web framework'), '', 'data-note', 'ul, ol');
+    expect(marked(root)).toEqual(['Web framework']);
+    expect(root.querySelector('#entry ul mark')).toBeNull();
+  });
+
+  it('restores the original text when cleared', () => {
+    const root = render('<p>Some <b>bold</b> text</p>');
+    const html = root.innerHTML;
+    highlightMatches(root, buildPattern('me bo'));
+    clearHighlights(root);
+    expect(root.innerHTML).toBe(html);
+  });
+});
@@ -4,6 +4,21 @@
 import axios from 'axios';
 
 const GITHUB_API_BASE = 'https://api.github.com';
+// First path segments on github.com that are not user or organization names
+const RESERVED_OWNERS = [
+  'about', 'apps', 'collections', 'customer-stories', 'enterprise', 'explore', 'features',
+  'marketplace', 'orgs', 'pricing', 'settings', 'site', 'sponsors', 'topics', 'trending',
+];
+const README_FILE_RE = /^readme(\.(md|markdown))?$/i;
+const CONTRIBUTING_FILE_RE = /^contributing(\.(md|markdown))?$/i;
+
+// A file or directory from the contents API as { name, path, type, downloadUrl }
+const toFileInfo = item => ({
+  name: item.name,
+  path: item.path,
+  type: item.type,
+  downloadUrl: item.download_url,
+});
 
 class GitHubService {
   constructor() {
@@ -127,6 +142,31 @@ class GitHubService {
     }
   }
 
+  /**
+   * Get the file GitHub shows as the repository README ({ name, path, type, downloadUrl }),
+   * wherever it lives; works when the repo's files can't be listed
+   */
+  async getReadmeFile(owner, repo) {
+    const cacheKey = `readme-file:${owner}/${repo}`;
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const response = await axios.get(`${GITHUB_API_BASE}/repos/${owner}/${repo}/readme`, {
+        headers: {
+          'Accept': 'application/vnd.github.v3+json',
+        },
+      });
+
+      const result = toFileInfo(response.data);
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      this.handleApiError(error);
+      throw error;
+    }
+  }
+
   /**
    * Get trending awesome-lists
    */
@@ -167,33 +207,90 @@ class GitHubService {
   }
 
   /**
-   * Check if a repository is a valid awesome-list
+   * Get the files and directories at a path of a repository (the root by default)
+   * as [{ name, path, type, downloadUrl }]
+   */
+  async getRepoContents(owner, repo, path = '') {
+    const cacheKey = `contents:${owner}/${repo}/${path}`;
+    const cached = this.getCached(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const response = await axios.get(`${GITHUB_API_BASE}/repos/${owner}/${repo}/contents/${path}`, {
+        headers: {
+          'Accept': 'application/vnd.github.v3+json',
+        },
+      });
+
+      const items = Array.isArray(response.data) ? response.data : [response.data];
+      const result = items.map(toFileInfo);
+      this.setCache(cacheKey, result);
+      return result;
+    } catch (error) {
+      this.handleApiError(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a repository is a valid awesome-list: it needs the awesome topic (or name)
+   * and a README. The README and contributing file ({ name, path, type, downloadUrl })
+   * are looked up in the repo root; the contributing file in .github/ too. When the
+   * contents can't be listed, `contentsError` tells why: the README is then asked from
+   * the readme endpoint, and a missing contributing file may just not have been seen.
    */
   async validateAwesomeList(owner, repo) {
     try {
-      const repoDetails = await this.getRepoDetails(owner, repo);
+      let contentsError = null;
+      const [repoDetails, files] = await Promise.all([
+        this.getRepoDetails(owner, repo),
+        this.getRepoContents(owner, repo).catch((error) => {
+          contentsError = error.message;
+          return [];
+        }),
+      ]);
       
       // Check if it has the awesome topic
       const hasAwesomeTopic = repoDetails.topics?.includes('awesome') ||
                               repoDetails.name.toLowerCase().includes('awesome');
       
-      // Check if it has a README
-      const hasReadme = repoDetails.hasReadme;
+      const isFile = re => file => file.type === 'file' && re.test(file.name);
+      let readme = files.find(isFile(README_FILE_RE)) || null;
+      let contributing = files.find(isFile(CONTRIBUTING_FILE_RE)) || null;
+      if (contentsError) {
+        readme = await this.getReadmeFile(owner, repo).catch(() => null);
+      } else if (!contributing && files.some(file => file.type === 'dir' && file.name === '.github')) {
+        const githubDir = await this.getRepoContents(owner, repo, '.github').catch(() => []);
+        contributing = githubDir.find(isFile(CONTRIBUTING_FILE_RE)) || null;
+      }
       
       return {
-        isValid: hasAwesomeTopic && hasReadme,
+        isValid: hasAwesomeTopic && !!readme,
         hasAwesomeTopic,
-        hasReadme,
+        hasReadme: !!readme,
+        readme,
+        contributing,
+        contentsError,
         repo: repoDetails,
       };
     } catch (error) {
       return {
         isValid: false,
         error: error.message,
+        status: error.response ? error.response.status : null,
       };
     }
   }
 
+  /**
+   * Get "owner/repo" from a GitHub repository URL (including deeper paths), or null
+   */
+  parseRepoUrl(url = '') {
+    const match = url.match(/^https?:\/\/(?:www\.)?github\.com\/([\w.-]+)\/([\w.-]+)(?:[/?#].*)?$/i);
+    if (!match || RESERVED_OWNERS.includes(match[1].toLowerCase())) return null;
+    return `${match[1]}/${match[2].replace(/\.git$/i, '')}`;
+  }
+
   /**
    * Transform raw GitHub repo data to our format
    */
@@ -213,12 +310,12 @@ class GitHubService {
       createdAt: repo.created_at,
       updatedAt: repo.updated_at,
       pushedAt: repo.pushed_at,
+      archived: !!repo.archived,
       owner: {
         login: repo.owner.login,
         avatarUrl: repo.owner.avatar_url,
         url: repo.owner.html_url,
       },
-      hasReadme: true, // Assume true, actual check requires separate API call
     };
   }
 
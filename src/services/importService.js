@@ -2,7 +2,7 @@
  * Import Service - Handles importing data from various formats
  * Supports JSON, Markdown, and CSV
  */
-import { createCollection, createListItem } from '../models/Collection';
+import { createCollection, createListItem, createEntryItem } from '../models/Collection';
 import storageService from './storageService';
 
 class ImportService {
@@ -83,21 +83,53 @@ class ImportService {
   parseMarkdown(content) {
     try {
       const lists = [];
+      const entries = [];
       const lines = content.split('\n');
       
       // Extract title from first heading
       let title = 'Imported Collection';
       let description = '';
       let currentCategory = '';
+      // Inside "## Entries" items are README entries, grouped by source list (h3) and section (h4)
+      let inEntries = false;
+      let currentSource = '';
+      let currentSection = '';
 
       for (const line of lines) {
         // Match main title
         if (line.match(/^# /)) {
           title = line.replace(/^# /, '').trim();
         }
-        // Match category (h2 or h3)
-        else if (line.match(/^#{2,3} /)) {
-          currentCategory = line.replace(/^#{2,3} /, '').trim();
+        else if (line.match(/^## /)) {
+          currentCategory = line.replace(/^## /, '').trim();
+          inEntries = /^entries\b/i.test(currentCategory);
+          currentSource = '';
+          currentSection = '';
+        }
+        else if (inEntries && line.match(/^#{3,4} /)) {
+          if (line.startsWith('#### ')) {
+            currentSection = line.replace(/^#### /, '').trim();
+          } else {
+            const sourceMatch = line.match(/github\.com\/([^/\s)]+\/[^/\s)]+)/);
+            currentSource = sourceMatch ? sourceMatch[1] : '';
+            currentSection = '';
+          }
+        }
+        else if (inEntries && line.match(/^- \[.+\]\(.+\)/)) {
+          const match = line.match(/^- \[(.+?)\]\(([^)\s]+)\)(?:\s+-\s+(.*))?/);
+          if (match) {
+            entries.push({
+              title: match[1],
+              url: match[2],
+              description: (match[3] || '').trim(),
+              source: currentSource,
+              section: currentSection,
+            });
+          }
+        }
+        // Match category (h3)
+        else if (line.match(/^### /)) {
+          currentCategory = line.replace(/^### /, '').trim();
         }
         // Match list items with links
         else if (line.match(/^- \[.+\]\(.+\)/)) {
@@ -120,7 +152,7 @@ class ImportService {
 
       return {
         success: true,
-        data: { title, description, lists },
+        data: { title, description, lists, entries },
         format: 'markdown',
       };
     } catch (error) {
@@ -206,14 +238,23 @@ class ImportService {
    * Convert CSV data to collection
    */
   csvToCollection(csvData, name = 'Imported Collection') {
-    const lists = csvData.map(row => ({
+    const entries = csvData
+      .filter(row => row.type === 'entry' && row.url)
+      .map(row => createEntryItem({
+        url: row.url,
+        title: row.name || row.url,
+        description: row.description,
+        source: row['source list'],
+        section: row.section,
+      }));
+    const lists = csvData.filter(row => row.type !== 'entry').map(row => ({
       name: row.name || row.title || row.repository || 'Unknown',
       repo: row.repository || row.repo || (row.url?.match(/github\.com\/([^/]+\/[^/]+)/) && row.url.match(/github\.com\/([^/]+\/[^/]+)/)[1]) || '',
       cate: row.category || row.cate || 'Imported',
       addedAt: new Date().toISOString(),
     })).filter(l => l.repo);
 
-    return createCollection({ name, lists });
+    return createCollection({ name, lists: [...lists, ...entries] });
   }
 
   /**
@@ -223,7 +264,10 @@ class ImportService {
     return createCollection({
       name: mdData.title,
       description: mdData.description,
-      lists: mdData.lists.map(l => createListItem(l)),
+      lists: [
+        ...mdData.lists.map(l => createListItem(l)),
+        ...(mdData.entries || []).map(e => createEntryItem(e)),
+      ],
     });
   }
 
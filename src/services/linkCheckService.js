@@ -0,0 +1,361 @@
+/**
+ * Link Check Service - Health of the links inside a list
+ * Every URL is requested with bounded concurrency, a timeout per attempt and retries with
+ * backoff for transient failures. GitHub repos are checked through the API instead, which also
+ * tells archived and renamed repos apart. Results are cached in IndexedDB by URL:
+ *   { url, status, httpStatus, finalUrl, error, checkedAt }
+ * The network layer (request, getRepoDetails) and the repo stats lookup (getCachedStats) are
+ * injectable, e.g. to test against a stub server.
+ */
+import dbService, { DB_STORES } from './dbService';
+import githubService from './githubService';
+import repoStatsService from './repoStatsService';
+
+const STORE = DB_STORES.LINK_HEALTH.name;
+const RESULT_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+const RATE_LIMIT_BACKOFF = 15 * 60 * 1000; // 15 minutes
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRY_DELAY = 1000;
+
+export const LINK_STATUS = {
+  OK: 'ok',
+  REDIRECTED: 'redirected',
+  BROKEN: 'broken',
+  ARCHIVED: 'archived',
+  UNKNOWN: 'unknown', // could not be decided (GitHub rate limit, CORS-hidden status); never cached
+};
+
+// Servers that reject HEAD (or bots) often answer a GET normally
+const HEAD_FALLBACK_STATUSES = [403, 405, 501];
+
+/**
+ * Default request: HEAD, then GET for servers that reject HEAD, then an opaque no-cors GET when
+ * CORS hides the response (its status 0 only proves the server answered, see checkHttp).
+ * Resolves to { status, url, redirected }; rejects on network errors and aborts.
+ */
+export const fetchRequest = async (url, { signal } = {}) => {
+  try {
+    let response = await fetch(url, { method: 'HEAD', redirect: 'follow', signal });
+    if (HEAD_FALLBACK_STATUSES.includes(response.status)) {
+      response = await fetch(url, { method: 'GET', redirect: 'follow', signal });
+    }
+    return { status: response.status, url: response.url || url, redirected: response.redirected };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    const response = await fetch(url, { mode: 'no-cors', signal });
+    return { status: response.status, url, redirected: false };
+  }
+};
+
+/**
+ * Default stats lookup: fresh repo stats ({ archived, ... }) saved by repoStatsService, or null
+ */
+const cachedRepoStats = (repo) => {
+  const stats = repoStatsService.getAll()[repo];
+  return stats && !repoStatsService.isStale(stats) ? stats : null;
+};
+
+/**
+ * Compare URLs ignoring the fragment and a trailing slash
+ */
+const sameUrl = (a, b) => {
+  const normalize = url => url.replace(/#.*$/, '').replace(/\/+$/, '');
+  return normalize(a) === normalize(b);
+};
+
+// Rate limiting and server errors are worth another attempt
+const isTransient = status => status === 429 || status >= 500;
+
+/**
+ * Wait for ms, rejecting early when the signal aborts
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+class LinkCheckService {
+  constructor({
+    request = fetchRequest,
+    getRepoDetails = (owner, repo) => githubService.getRepoDetails(owner, repo),
+    getCachedStats = cachedRepoStats,
+    concurrency = DEFAULT_CONCURRENCY,
+    retries = DEFAULT_RETRIES,
+    timeout = DEFAULT_TIMEOUT,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    cache = true,
+  } = {}) {
+    this.request = request;
+    this.getRepoDetails = getRepoDetails;
+    this.getCachedStats = getCachedStats;
+    this.concurrency = concurrency;
+    this.retries = retries;
+    this.timeout = timeout;
+    this.retryDelay = retryDelay;
+    this.cache = cache;
+    this.records = null; // Map of url -> result, loaded lazily
+    this.loadPromise = null;
+    this.pausedUntil = 0; // GitHub API checks pause after hitting the rate limit
+  }
+
+  /**
+   * Load all cached results from IndexedDB into memory
+   */
+  load() {
+    if (this.loadPromise) return this.loadPromise;
+    if (!this.cache) {
+      this.records = new Map();
+      this.loadPromise = Promise.resolve(this.records);
+      return this.loadPromise;
+    }
+
+    this.loadPromise = dbService.getAll(STORE)
+      .then((records) => {
+        this.records = new Map(records.map(r => [r.url, r]));
+        return this.records;
+      })
+      .catch((error) => {
+        console.error('Error loading link check results:', error);
+        this.records = new Map();
+        return this.records;
+      });
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Cached result for a URL (any age), or null while nothing is loaded
+   */
+  getResult(url) {
+    return (this.records && this.records.get(url)) || null;
+  }
+
+  /**
+   * Check whether a cached result is missing or expired
+   */
+  isStale(result) {
+    return !result || Date.now() - new Date(result.checkedAt).getTime() > RESULT_MAX_AGE;
+  }
+
+  /**
+   * One request with a timeout; a timeout rejects with an Error of its own
+   */
+  async attempt(url, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeout);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    try {
+      return await this.request(url, { signal: controller.signal });
+    } catch (error) {
+      if (timedOut) throw new Error(`Timed out after ${this.timeout / 1000}s`);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Check a plain URL, retrying network errors, timeouts and transient statuses
+   */
+  async checkHttp(url, signal) {
+    let httpStatus = null;
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) await delay(this.retryDelay * 2 ** (attempt - 1), signal);
+      try {
+        const response = await this.attempt(url, signal);
+        httpStatus = response.status;
+        lastError = null;
+        if (isTransient(response.status) && attempt < this.retries) continue;
+
+        // An opaque response hides both the status and any redirect
+        if (response.status === 0) {
+          return { url, status: LINK_STATUS.UNKNOWN, httpStatus: null, error: 'Status hidden by CORS' };
+        }
+        if (response.status >= 400) {
+          return { url, status: LINK_STATUS.BROKEN, httpStatus: response.status };
+        }
+        if (response.url && !sameUrl(response.url, url)) {
+          return { url, status: LINK_STATUS.REDIRECTED, httpStatus: response.status, finalUrl: response.url };
+        }
+        return { url, status: LINK_STATUS.OK, httpStatus: response.status || null };
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        lastError = error;
+      }
+    }
+
+    return {
+      url,
+      status: LINK_STATUS.BROKEN,
+      httpStatus,
+      error: lastError ? lastError.message : null,
+    };
+  }
+
+  /**
+   * Check a GitHub repo through the API: missing, archived or renamed (moved) repos.
+   * Errors from getRepoDetails are expected to carry `response.status`, as axios errors do.
+   */
+  async checkRepo(url, repo) {
+    const stats = this.getCachedStats(repo);
+    if (stats) {
+      return { url, status: stats.archived ? LINK_STATUS.ARCHIVED : LINK_STATUS.OK };
+    }
+    if (Date.now() < this.pausedUntil) {
+      return { url, status: LINK_STATUS.UNKNOWN, error: 'GitHub API rate limit reached' };
+    }
+
+    const [owner, name] = repo.split('/');
+    try {
+      const details = await this.getRepoDetails(owner, name);
+      if (details.archived) return { url, status: LINK_STATUS.ARCHIVED };
+      if (details.repo && details.repo.toLowerCase() !== repo.toLowerCase()) {
+        return { url, status: LINK_STATUS.REDIRECTED, finalUrl: `https://github.com/${details.repo}` };
+      }
+      return { url, status: LINK_STATUS.OK };
+    } catch (error) {
+      const httpStatus = error.response ? error.response.status : null;
+      if (httpStatus === 404) return { url, status: LINK_STATUS.BROKEN, httpStatus };
+      if (httpStatus === 403) this.pausedUntil = Date.now() + RATE_LIMIT_BACKOFF;
+      return { url, status: LINK_STATUS.UNKNOWN, httpStatus, error: error.message };
+    }
+  }
+
+  /**
+   * Check one URL and cache the result (unless it is unknown)
+   */
+  async checkUrl(url, { signal } = {}) {
+    const repo = githubService.parseRepoUrl(url);
+    const checked = repo ? await this.checkRepo(url, repo) : await this.checkHttp(url, signal);
+    const result = {
+      httpStatus: null,
+      finalUrl: null,
+      error: null,
+      ...checked,
+      checkedAt: new Date().toISOString(),
+    };
+
+    if (result.status !== LINK_STATUS.UNKNOWN) {
+      await this.load();
+      this.records.set(url, result);
+      if (this.cache) {
+        dbService.put(STORE, result).catch(error => console.error('Error caching link check:', error));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Check the links of a list's entries ({ name, url, section }). Fresh cached results are
+   * reused unless `force` is set; onProgress(progress, result) is called after every URL.
+   * Resolves to the report of the list (see buildReport).
+   */
+  async checkList(repo, entries, options = {}) {
+    const {
+      concurrency = this.concurrency,
+      force = false,
+      onProgress,
+      signal,
+    } = options;
+
+    await this.load();
+    const urls = Array.from(new Set(
+      entries.map(entry => entry.url).filter(url => /^https?:\/\//i.test(url))
+    ));
+    const results = new Map();
+    if (!force) {
+      urls.forEach((url) => {
+        const cached = this.records.get(url);
+        if (!this.isStale(cached)) results.set(url, cached);
+      });
+    }
+
+    const queue = urls.filter(url => !results.has(url));
+    const progress = { total: urls.length, done: results.size };
+    if (onProgress) onProgress({ ...progress }, null);
+
+    const worker = async () => {
+      while (queue.length && !(signal && signal.aborted)) {
+        const url = queue.shift();
+        let result;
+        try {
+          result = await this.checkUrl(url, { signal });
+        } catch (error) {
+          // Only an abort gets here; the URL stays unchecked
+          break;
+        }
+        results.set(url, result);
+        progress.done++;
+        if (onProgress) onProgress({ ...progress }, result);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    return this.buildReport(repo, entries, results);
+  }
+
+  /**
+   * Report of a list from results keyed by URL (falling back to cached results):
+   * { repo, createdAt, counts: { ok, redirected, broken, archived, unknown, unchecked }, links }
+   * with one link row per URL: { name, url, section, status, httpStatus, finalUrl, error, checkedAt }
+   */
+  buildReport(repo, entries, results = new Map()) {
+    const counts = { unchecked: 0 };
+    Object.values(LINK_STATUS).forEach((status) => {
+      counts[status] = 0;
+    });
+
+    const seen = new Set();
+    const links = [];
+    entries.forEach(({ name, url, section }) => {
+      if (!/^https?:\/\//i.test(url) || seen.has(url)) return;
+      seen.add(url);
+      const result = results.get(url) || this.getResult(url);
+      counts[result ? result.status : 'unchecked']++;
+      links.push({
+        name,
+        url,
+        section,
+        status: result ? result.status : null,
+        httpStatus: result ? result.httpStatus : null,
+        finalUrl: result ? result.finalUrl : null,
+        error: result ? result.error : null,
+        checkedAt: result ? result.checkedAt : null,
+      });
+    });
+
+    return { repo, createdAt: new Date().toISOString(), counts, links };
+  }
+
+  /**
+   * Remove every cached result
+   */
+  async clear() {
+    if (this.cache) await dbService.clear(STORE);
+    this.records = new Map();
+    this.loadPromise = Promise.resolve(this.records);
+  }
+}
+
+// Export singleton instance
+const linkCheckService = new LinkCheckService();
+export default linkCheckService;
+export { LinkCheckService };
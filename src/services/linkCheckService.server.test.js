@@ -0,0 +1,66 @@
+import http from 'http';
+import vm from 'vm';
+import { fetchRequest } from './linkCheckService';
+
+// jsdom has no fetch; use Node's built-in one from the main context, along with the
+// AbortController it accepts signals from
+const nodeFetch = vm.runInThisContext('fetch');
+const NodeAbortController = vm.runInThisContext('AbortController');
+
+const routes = {
+  '/ok': (req, res) => res.writeHead(200).end('ok'),
+  '/missing': (req, res) => res.writeHead(404).end(),
+  // Some servers answer HEAD with 405 but serve GET fine
+  '/no-head': (req, res) => res.writeHead(req.method === 'HEAD' ? 405 : 200).end(),
+  '/moved': (req, res) => res.writeHead(301, { Location: '/ok' }).end(),
+};
+
+let server;
+let base;
+const methods = [];
+
+beforeAll(() => new Promise((resolve) => {
+  server = http.createServer((req, res) => {
+    methods.push(`${req.method} ${req.url}`);
+    (routes[req.url] || routes['/missing'])(req, res);
+  });
+  server.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  methods.length = 0;
+  global.fetch = nodeFetch;
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('fetchRequest against a local server', () => {
+  it('reports the status of a HEAD request', async () => {
+    expect(await fetchRequest(`${base}/ok`)).toEqual({ status: 200, url: `${base}/ok`, redirected: false });
+    expect(await fetchRequest(`${base}/missing`)).toMatchObject({ status: 404 });
+    expect(methods).toEqual(['HEAD /ok', 'HEAD /missing']);
+  });
+
+  it('retries with GET when HEAD is rejected', async () => {
+    expect(await fetchRequest(`${base}/no-head`)).toMatchObject({ status: 200 });
+    expect(methods).toEqual(['HEAD /no-head', 'GET /no-head']);
+  });
+
+  it('follows redirects and reports where they end', async () => {
+    expect(await fetchRequest(`${base}/moved`)).toEqual({ status: 200, url: `${base}/ok`, redirected: true });
+  });
+
+  it('rejects with an AbortError when aborted', async () => {
+    const controller = new NodeAbortController();
+    controller.abort();
+    await expect(fetchRequest(`${base}/ok`, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,235 @@
+import { LinkCheckService, LINK_STATUS, fetchRequest } from './linkCheckService';
+
+// Fake `request` option in place of fetchRequest (see linkCheckService.server.test.js for the real one):
+// each URL answers with a list of responses, one per request (the last repeats).
+// A response is { status, url, redirected }, an Error to reject with, or 'hang' to wait for abort.
+const fakeRequest = (routes) => {
+  const calls = {};
+  const request = jest.fn((url, { signal } = {}) => {
+    calls[url] = (calls[url] || 0) + 1;
+    const answers = routes[url] || [{ status: 404 }];
+    const answer = answers[Math.min(calls[url], answers.length) - 1];
+    if (answer === 'hang') {
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      });
+    }
+    if (answer instanceof Error) return Promise.reject(answer);
+    return Promise.resolve({ url, redirected: false, ...answer });
+  });
+  return { request, calls };
+};
+
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status },
+});
+
+const createService = (routes, options = {}) => {
+  const requests = fakeRequest(routes);
+  const service = new LinkCheckService({
+    request: requests.request,
+    getRepoDetails: jest.fn(),
+    getCachedStats: () => null,
+    cache: false,
+    retryDelay: 0,
+    timeout: 50,
+    ...options,
+  });
+  return { service, requests };
+};
+
+describe('LinkCheckService.checkUrl', () => {
+  it('reports a 200 as OK and caches it', async () => {
+    const { service } = createService({ 'https://ok.dev/': [{ status: 200 }] });
+    const result = await service.checkUrl('https://ok.dev/');
+    expect(result).toMatchObject({ status: LINK_STATUS.OK, httpStatus: 200 });
+    expect(service.getResult('https://ok.dev/')).toBe(result);
+  });
+
+  it('reports a followed 301 as redirected with the final URL', async () => {
+    const { service } = createService({
+      'http://old.dev/': [{ status: 200, url: 'https://new.dev/page', redirected: true }],
+    });
+    expect(await service.checkUrl('http://old.dev/')).toMatchObject({
+      status: LINK_STATUS.REDIRECTED,
+      finalUrl: 'https://new.dev/page',
+    });
+  });
+
+  it('ignores a trailing slash or fragment when deciding about redirects', async () => {
+    const { service } = createService({
+      'https://ok.dev/docs#intro': [{ status: 200, url: 'https://ok.dev/docs/' }],
+    });
+    expect((await service.checkUrl('https://ok.dev/docs#intro')).status).toBe(LINK_STATUS.OK);
+  });
+
+  it('reports a 404 as broken without retrying', async () => {
+    const { service, requests } = createService({ 'https://gone.dev/': [{ status: 404 }] });
+    expect(await service.checkUrl('https://gone.dev/')).toMatchObject({
+      status: LINK_STATUS.BROKEN,
+      httpStatus: 404,
+    });
+    expect(requests.calls['https://gone.dev/']).toBe(1);
+  });
+
+  it('retries a 5xx and reports the later 200', async () => {
+    const { service, requests } = createService({
+      'https://flaky.dev/': [{ status: 503 }, { status: 502 }, { status: 200 }],
+    });
+    expect((await service.checkUrl('https://flaky.dev/')).status).toBe(LINK_STATUS.OK);
+    expect(requests.calls['https://flaky.dev/']).toBe(3);
+  });
+
+  it('gives up on a persistent 5xx after the retries', async () => {
+    const { service, requests } = createService({ 'https://down.dev/': [{ status: 500 }] }, { retries: 1 });
+    expect(await service.checkUrl('https://down.dev/')).toMatchObject({
+      status: LINK_STATUS.BROKEN,
+      httpStatus: 500,
+    });
+    expect(requests.calls['https://down.dev/']).toBe(2);
+  });
+
+  it('retries network errors', async () => {
+    const { service } = createService({
+      'https://blip.dev/': [new TypeError('Failed to fetch'), { status: 200 }],
+    });
+    expect((await service.checkUrl('https://blip.dev/')).status).toBe(LINK_STATUS.OK);
+  });
+
+  it('reports a request that keeps timing out as broken', async () => {
+    const { service, requests } = createService({ 'https://slow.dev/': ['hang'] }, { retries: 1 });
+    expect(await service.checkUrl('https://slow.dev/')).toMatchObject({
+      status: LINK_STATUS.BROKEN,
+      error: 'Timed out after 0.05s',
+    });
+    expect(requests.calls['https://slow.dev/']).toBe(2);
+  });
+
+  it('reports an opaque (CORS-hidden) response as unknown and does not cache it', async () => {
+    const { service } = createService({ 'https://cors.dev/': [{ status: 0 }] });
+    expect((await service.checkUrl('https://cors.dev/')).status).toBe(LINK_STATUS.UNKNOWN);
+    expect(service.getResult('https://cors.dev/')).toBeNull();
+  });
+});
+
+describe('LinkCheckService GitHub repos', () => {
+  const url = 'https://github.com/owner/repo';
+
+  it('reports archived repos', async () => {
+    const getRepoDetails = jest.fn().mockResolvedValue({ repo: 'owner/repo', archived: true });
+    const { service, requests } = createService({}, { getRepoDetails });
+    expect((await service.checkUrl(url)).status).toBe(LINK_STATUS.ARCHIVED);
+    expect(getRepoDetails).toHaveBeenCalledWith('owner', 'repo');
+    expect(requests.request).not.toHaveBeenCalled();
+  });
+
+  it('reports missing repos as broken', async () => {
+    const getRepoDetails = jest.fn().mockRejectedValue(httpError(404));
+    const { service } = createService({}, { getRepoDetails });
+    expect(await service.checkUrl(url)).toMatchObject({ status: LINK_STATUS.BROKEN, httpStatus: 404 });
+  });
+
+  it('reports renamed repos as redirected', async () => {
+    const getRepoDetails = jest.fn().mockResolvedValue({ repo: 'owner/new-name', archived: false });
+    const { service } = createService({}, { getRepoDetails });
+    expect(await service.checkUrl(url)).toMatchObject({
+      status: LINK_STATUS.REDIRECTED,
+      finalUrl: 'https://github.com/owner/new-name',
+    });
+  });
+
+  it('pauses after the rate limit and leaves the status unknown', async () => {
+    const getRepoDetails = jest.fn().mockRejectedValue(httpError(403));
+    const { service } = createService({}, { getRepoDetails });
+    expect((await service.checkUrl(url)).status).toBe(LINK_STATUS.UNKNOWN);
+    expect((await service.checkUrl('https://github.com/owner/other')).status).toBe(LINK_STATUS.UNKNOWN);
+    expect(getRepoDetails).toHaveBeenCalledTimes(1);
+    expect(service.getResult(url)).toBeNull();
+  });
+
+  it('uses fresh repo stats instead of the API', async () => {
+    const getRepoDetails = jest.fn();
+    const { service } = createService({}, { getRepoDetails, getCachedStats: () => ({ archived: false }) });
+    expect((await service.checkUrl(url)).status).toBe(LINK_STATUS.OK);
+    expect(getRepoDetails).not.toHaveBeenCalled();
+  });
+});
+
+describe('LinkCheckService.checkList', () => {
+  const entries = [
+    { name: 'OK', url: 'https://ok.dev/', section: 'A' },
+    { name: 'Gone', url: 'https://gone.dev/', section: 'A' },
+    { name: 'OK again', url: 'https://ok.dev/', section: 'B' },
+    { name: 'Anchor', url: '#contents', section: 'B' },
+  ];
+
+  it('checks each URL once and reports counts and links', async () => {
+    const { service, requests } = createService({ 'https://ok.dev/': [{ status: 200 }] });
+    const onProgress = jest.fn();
+    const report = await service.checkList('owner/list', entries, { onProgress });
+
+    expect(report.repo).toBe('owner/list');
+    expect(report.counts).toMatchObject({ ok: 1, broken: 1, unchecked: 0 });
+    expect(report.links.map(link => [link.name, link.status])).toEqual([
+      ['OK', LINK_STATUS.OK],
+      ['Gone', LINK_STATUS.BROKEN],
+    ]);
+    expect(requests.calls['https://ok.dev/']).toBe(1);
+    expect(onProgress).toHaveBeenLastCalledWith({ total: 2, done: 2 }, expect.any(Object));
+  });
+
+  it('reuses fresh results unless forced', async () => {
+    const { service, requests } = createService({ 'https://ok.dev/': [{ status: 200 }] });
+    await service.checkList('owner/list', entries);
+    await service.checkList('owner/list', entries);
+    expect(requests.request).toHaveBeenCalledTimes(2);
+    await service.checkList('owner/list', entries, { force: true });
+    expect(requests.request).toHaveBeenCalledTimes(4);
+  });
+
+  it('stops on abort and leaves the remaining URLs unchecked', async () => {
+    const { service } = createService({
+      'https://ok.dev/': [{ status: 200 }],
+      'https://gone.dev/': ['hang'],
+    }, { concurrency: 1, timeout: 10000 });
+    const controller = new AbortController();
+    const onProgress = (progress, result) => {
+      if (result) controller.abort();
+    };
+    const report = await service.checkList('owner/list', [
+      ...entries,
+      { name: 'Later', url: 'https://later.dev/', section: 'C' },
+    ], { signal: controller.signal, onProgress });
+
+    expect(report.counts).toMatchObject({ ok: 1, unchecked: 2 });
+  });
+});
+
+describe('fetchRequest', () => {
+  const originalFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('falls back to GET when a server rejects HEAD', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ status: 405, url: 'https://a.dev/', redirected: false })
+      .mockResolvedValueOnce({ status: 200, url: 'https://a.dev/', redirected: false });
+    expect(await fetchRequest('https://a.dev/')).toEqual({ status: 200, url: 'https://a.dev/', redirected: false });
+    expect(global.fetch.mock.calls.map(([, init]) => init.method)).toEqual(['HEAD', 'GET']);
+  });
+
+  it('falls back to an opaque no-cors request when CORS blocks the response', async () => {
+    global.fetch = jest.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce({ status: 0, url: '', redirected: false });
+    expect(await fetchRequest('https://b.dev/')).toEqual({ status: 0, url: 'https://b.dev/', redirected: false });
+    expect(global.fetch.mock.calls[1][1].mode).toBe('no-cors');
+  });
+
+  it('passes aborts through', async () => {
+    global.fetch = jest.fn().mockRejectedValue(new DOMException('Aborted', 'AbortError'));
+    await expect(fetchRequest('https://c.dev/')).rejects.toMatchObject({ name: 'AbortError' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
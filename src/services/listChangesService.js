@@ -0,0 +1,173 @@
+/**
+ * List Changes Service - "What changed since my last visit" for awesome-list READMEs
+ * Every visit to a list stores a snapshot of its entries in IndexedDB. The next visit is
+ * diffed against it, and so is any README fetched in the background (by the README cache
+ * revalidating visited lists, or the content index); those pending counts live in
+ * localStorage and drive the "N new" badges.
+ */
+import dbService, { DB_STORES } from './dbService';
+import { parseHtml } from './readmeParser';
+import storageService from './storageService';
+
+const STORE = DB_STORES.LIST_SNAPSHOTS.name;
+
+/**
+ * Entries compared between visits ({ name, url, section }).
+ * Expects the README HTML as fetched; only absolute http(s) links are kept, since relative
+ * ones change once they are resolved against the repo.
+ */
+const snapshotEntries = (html) => parseHtml(html)
+  .filter(record => /^https?:\/\//i.test(record.url))
+  .map(({ name, url, section }) => ({ name, url, section }));
+
+/**
+ * Diff two entry lists by URL.
+ * Returns { added, removed, moved }, where moved entries ({ name, url, from, to }) changed section.
+ */
+const diffEntries = (previous = [], current = []) => {
+  const byUrl = (entries) => {
+    const map = new Map();
+    entries.forEach((entry) => {
+      if (!map.has(entry.url)) map.set(entry.url, entry);
+    });
+    return map;
+  };
+  const before = byUrl(previous);
+  const after = byUrl(current);
+
+  const added = [];
+  const moved = [];
+  after.forEach((entry, url) => {
+    const old = before.get(url);
+    if (!old) {
+      added.push(entry);
+    } else if (old.section !== entry.section) {
+      moved.push({ name: entry.name, url, from: old.section, to: entry.section });
+    }
+  });
+  const removed = Array.from(before.values()).filter(entry => !after.has(entry.url));
+
+  return { added, removed, moved };
+};
+
+/**
+ * Whether a diff has anything to show
+ */
+const hasChanges = changes => !!changes && (
+  changes.added.length > 0 || changes.removed.length > 0 || changes.moved.length > 0
+);
+
+class ListChangesService {
+  /**
+   * Get the snapshot taken at the last visit ({ repo, entries, visitedAt }) or null
+   */
+  async getSnapshot(repo) {
+    try {
+      return (await dbService.get(STORE, repo)) || null;
+    } catch (error) {
+      console.error('Error reading list snapshot:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Repos of every list visited so far (those with a snapshot), least recently visited first
+   */
+  async getVisitedRepos() {
+    try {
+      const snapshots = await dbService.getAll(STORE);
+      return snapshots
+        .sort((a, b) => a.visitedAt.localeCompare(b.visitedAt))
+        .map(snapshot => snapshot.repo);
+    } catch (error) {
+      console.error('Error reading list snapshots:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Record a visit to a list.
+   * Resolves to the changes since the previous visit ({ added, removed, moved, since }),
+   * or null on the first visit; the current entries become the new snapshot.
+   */
+  async visit(repo, html) {
+    const previous = await this.getSnapshot(repo);
+    const entries = snapshotEntries(html);
+    await dbService.put(STORE, { repo, entries, visitedAt: new Date().toISOString() });
+    this.clearPending(repo);
+
+    if (!previous) return null;
+    return { ...diffEntries(previous.entries, entries), since: previous.visitedAt };
+  }
+
+  /**
+   * Compare a README fetched in the background with the last visit and remember the counts.
+   * Lists that were never visited have nothing to compare against and are skipped.
+   */
+  async recordRefresh(repo, html) {
+    const previous = await this.getSnapshot(repo);
+    if (!previous) return null;
+
+    const { added, removed, moved } = diffEntries(previous.entries, snapshotEntries(html));
+    const pending = storageService.getListChanges();
+    if (hasChanges({ added, removed, moved })) {
+      pending[repo] = {
+        added: added.length,
+        removed: removed.length,
+        moved: moved.length,
+        checkedAt: new Date().toISOString(),
+      };
+    } else {
+      delete pending[repo];
+    }
+    storageService.saveListChanges(pending);
+    this.notifyUpdated();
+    return pending[repo] || null;
+  }
+
+  /**
+   * Pending change counts, keyed by repo
+   */
+  getPending() {
+    return storageService.getListChanges();
+  }
+
+  /**
+   * Number of new entries across the given repos
+   */
+  countNew(repos, pending = this.getPending()) {
+    return repos.reduce((sum, repo) => sum + (pending[repo] ? pending[repo].added : 0), 0);
+  }
+
+  /**
+   * Forget the pending counts of one list
+   */
+  clearPending(repo) {
+    const pending = storageService.getListChanges();
+    if (!pending[repo]) return;
+    delete pending[repo];
+    storageService.saveListChanges(pending);
+    this.notifyUpdated();
+  }
+
+  /**
+   * Drop every snapshot and pending count
+   */
+  async clear() {
+    storageService.saveListChanges({});
+    await dbService.clear(STORE);
+    this.notifyUpdated();
+  }
+
+  /**
+   * Let the app know the pending changes changed
+   */
+  notifyUpdated() {
+    try { window.dispatchEvent(new CustomEvent('listChangesUpdated')); } catch (e) {}
+  }
+}
+
+// Export singleton instance
+const listChangesService = new ListChangesService();
+export default listChangesService;
+export { snapshotEntries, diffEntries, hasChanges };
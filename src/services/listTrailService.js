@@ -0,0 +1,73 @@
+/**
+ * List Trail Service - Breadcrumb trail of lists reached through links between READMEs
+ * Kept per tab in sessionStorage as a stack plus the position of the current list, so
+ * browser back/forward moves along the trail and following a new link cuts off the rest.
+ */
+
+const TRAIL_KEY = 'awesome_list_trail';
+
+const sameRepo = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+class ListTrailService {
+  /**
+   * Read the stored trail ({ stack, index })
+   */
+  read() {
+    try {
+      const trail = JSON.parse(sessionStorage.getItem(TRAIL_KEY));
+      if (trail && Array.isArray(trail.stack)) return trail;
+    } catch (error) {
+      // Unavailable or corrupted storage starts a new trail
+    }
+    return { stack: [], index: -1 };
+  }
+
+  /**
+   * Store the trail
+   */
+  write(trail) {
+    try {
+      sessionStorage.setItem(TRAIL_KEY, JSON.stringify(trail));
+    } catch (error) {
+      console.error('Error saving list trail:', error);
+    }
+  }
+
+  /**
+   * Lists from the start of the trail up to and including the current one
+   */
+  getTrail() {
+    const { stack, index } = this.read();
+    return stack.slice(0, index + 1);
+  }
+
+  /**
+   * Record that a link from one list to another was followed
+   */
+  follow(from, to) {
+    if (sameRepo(from, to)) return;
+    const trail = this.read();
+    const fromIndex = trail.stack.findIndex(repo => sameRepo(repo, from));
+    const base = fromIndex === -1 ? [from] : trail.stack.slice(0, fromIndex + 1);
+
+    // Linking back to a list earlier on the trail returns to it instead of repeating it
+    const toIndex = base.findIndex(repo => sameRepo(repo, to));
+    this.write(toIndex === -1 ? { stack: [...base, to], index: base.length } : { stack: base, index: toIndex });
+  }
+
+  /**
+   * Record that a list is shown. A list already on the trail becomes the current one
+   * (back/forward or a breadcrumb); any other list starts a new trail.
+   * Returns the trail up to the list.
+   */
+  enter(repo) {
+    const trail = this.read();
+    const index = trail.stack.findIndex(item => sameRepo(item, repo));
+    this.write(index === -1 ? { stack: [repo], index: 0 } : { ...trail, index });
+    return this.getTrail();
+  }
+}
+
+// Export singleton instance
+const listTrailService = new ListTrailService();
+export default listTrailService;
@@ -0,0 +1,167 @@
+/**
+ * Query Parser - Small query language for the main search box
+ *
+ * Supported syntax:
+ *   react hooks               free terms, fuzzy matched and AND-ed together
+ *   "state management"        quoted phrase, matched literally
+ *   cate:"Back-End Development" / repo:sindresorhus/*   field filters (* is a wildcard)
+ *   -word / -cate:Games       exclusions
+ *   vue OR react              alternatives between adjacent clauses
+ */
+
+const FIELD_ALIASES = {
+  cate: 'cate',
+  category: 'cate',
+  repo: 'repo',
+  name: 'name',
+  desc: 'description',
+  description: 'description',
+};
+
+const SEARCH_FIELDS = ['name', 'repo', 'description', 'cate'];
+
+// field:"quoted", field:value, "quoted", or a bare word (each optionally negated)
+const TOKEN_RE = /(-?)(?:([a-zA-Z]+):(?:"([^"]*)"?|(\S+))|"([^"]*)"?|(\S+))/g;
+
+/**
+ * Turn a glob with * wildcards into a case-insensitive anchored RegExp
+ */
+const globToRegExp = (glob) => {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+};
+
+/**
+ * Split a query string into clauses
+ */
+const tokenize = (input) => {
+  const clauses = [];
+  let match;
+  TOKEN_RE.lastIndex = 0;
+
+  while ((match = TOKEN_RE.exec(input)) !== null) {
+    const [, negation, rawField, fieldQuoted, fieldValue, phrase, word] = match;
+    const field = rawField ? FIELD_ALIASES[rawField.toLowerCase()] : null;
+
+    if (word === 'OR' && !negation) {
+      clauses.push({ type: 'or' });
+      continue;
+    }
+
+    if (rawField && field) {
+      const value = (fieldQuoted !== undefined ? fieldQuoted : fieldValue).trim();
+      if (value) clauses.push({ field, value, negate: !!negation, exact: true });
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) clauses.push({ field: null, value: phrase.trim(), negate: !!negation, exact: true });
+    } else {
+      // Unknown field prefixes (e.g. "c++:") are treated as plain words
+      const value = rawField ? match[0].replace(/^-/, '') : word;
+      if (value && value !== '-') clauses.push({ field: null, value, negate: !!negation, exact: !!negation });
+    }
+  }
+
+  return clauses;
+};
+
+/**
+ * Parse a query into AND-ed groups of OR-ed clauses.
+ * Returns { groups, text } where text is the free-text part of the query.
+ */
+export const parseQuery = (input = '') => {
+  const groups = [];
+  let joinNext = false;
+
+  tokenize(input).forEach((clause) => {
+    if (clause.type === 'or') {
+      joinNext = groups.length > 0;
+      return;
+    }
+    if (joinNext) {
+      groups[groups.length - 1].push(clause);
+    } else {
+      groups.push([clause]);
+    }
+    joinNext = false;
+  });
+
+  const text = groups
+    .reduce((all, group) => all.concat(group), [])
+    .filter(clause => !clause.field && !clause.negate)
+    .map(clause => clause.value)
+    .join(' ');
+
+  return { groups, text };
+};
+
+/**
+ * Whether a clause should be fuzzy matched rather than tested literally
+ */
+export const isFuzzyClause = (clause) => !clause.exact;
+
+/**
+ * OR synonym expansions into the groups of a parsed query.
+ * synonyms maps a lowercase free-text term to its expansions; only fuzzy free-text
+ * clauses are expanded, and multi-word expansions become literal phrases.
+ */
+export const expandSynonyms = (groups, synonyms = {}) => groups.map((group) => {
+  const expanded = [...group];
+  group.forEach((clause) => {
+    if (clause.field || !isFuzzyClause(clause)) return;
+    (synonyms[clause.value.toLowerCase()] || []).forEach((value) => {
+      const exists = expanded.some(c => !c.field && !c.negate && c.value.toLowerCase() === value);
+      if (!exists) expanded.push({ field: null, value, negate: false, exact: /\s/.test(value) });
+    });
+  });
+  return expanded;
+});
+
+/**
+ * Test a literal (field, phrase or exclusion) clause against an item, ignoring negation
+ */
+export const testClause = (item, clause) => {
+  const fields = clause.field ? [clause.field] : SEARCH_FIELDS;
+  const hasWildcard = clause.value.includes('*');
+  const pattern = hasWildcard ? globToRegExp(clause.value) : null;
+  const needle = clause.value.toLowerCase();
+
+  return fields.some((field) => {
+    const value = item[field];
+    if (!value) return false;
+    return pattern ? pattern.test(value) : String(value).toLowerCase().includes(needle);
+  });
+};
+
+
+/**
+ * Locate a literal clause inside an item's fields as Fuse-style matches
+ * ({ key, value, indices: [[start, end]] }, end inclusive) for highlighting
+ */
+export const findClauseMatches = (item, clause) => {
+  const fields = clause.field ? [clause.field] : SEARCH_FIELDS;
+  const matches = [];
+
+  fields.forEach((key) => {
+    const value = item[key] ? String(item[key]) : '';
+    if (!value) return;
+
+    if (clause.value.includes('*')) {
+      // Wildcards match the whole field
+      if (globToRegExp(clause.value).test(value)) {
+        matches.push({ key, value, indices: [[0, value.length - 1]] });
+      }
+      return;
+    }
+
+    const haystack = value.toLowerCase();
+    const needle = clause.value.toLowerCase();
+    const indices = [];
+    let from = haystack.indexOf(needle);
+    while (from !== -1) {
+      indices.push([from, from + needle.length - 1]);
+      from = haystack.indexOf(needle, from + needle.length);
+    }
+    if (indices.length) matches.push({ key, value, indices });
+  });
+
+  return matches;
+};
@@ -0,0 +1,75 @@
+/**
+ * Reading Progress Service - Where the user stopped reading each list and which sections
+ * they have read, so the viewer can resume and show progress.
+ * Records are kept per repo in localStorage:
+ *   { sectionId, offset, sectionsRead: [ids], totalSections, updatedAt }
+ * where offset is how far (px) past the heading of sectionId the page was scrolled.
+ */
+import storageService from './storageService';
+
+class ReadingProgressService {
+  /**
+   * Get progress for every list, keyed by repo
+   */
+  getAll() {
+    return storageService.getReadingProgress();
+  }
+
+  /**
+   * Get the progress record of a list, or null
+   */
+  get(repo) {
+    return this.getAll()[repo] || null;
+  }
+
+  /**
+   * Save the reading position and read sections of a list
+   */
+  save(repo, { sectionId, offset, sectionsRead, totalSections }) {
+    storageService.saveReadingProgress({
+      [repo]: {
+        sectionId: sectionId || null,
+        offset: Math.max(0, Math.round(offset || 0)),
+        sectionsRead,
+        totalSections,
+        updatedAt: new Date().toISOString(),
+      },
+    });
+    this.notifyUpdated();
+  }
+
+  /**
+   * Forget the progress of a list
+   */
+  clear(repo) {
+    storageService.removeReadingProgress(repo);
+    this.notifyUpdated();
+  }
+
+  /**
+   * Share of sections read, 0-100
+   */
+  getPercent(record) {
+    if (!record || !record.totalSections) return 0;
+    return Math.min(100, Math.round((record.sectionsRead.length / record.totalSections) * 100));
+  }
+
+  /**
+   * Whether a list has been started but not finished
+   */
+  isInProgress(record) {
+    const percent = this.getPercent(record);
+    return percent > 0 && percent < 100;
+  }
+
+  /**
+   * Let the app know progress changed
+   */
+  notifyUpdated() {
+    try { window.dispatchEvent(new CustomEvent('readingProgressUpdated')); } catch (e) {}
+  }
+}
+
+// Export singleton instance
+const readingProgressService = new ReadingProgressService();
+export default readingProgressService;
@@ -0,0 +1,187 @@
+/**
+ * Readme Cache Service - Offline copies of fetched READMEs in IndexedDB
+ * Serves the cached copy immediately and revalidates it in the background
+ * (stale-while-revalidate); the cached copy keeps a list readable without network.
+ * Other Markdown files opened in the viewer are cached the same way, keyed by user/repo/path.
+ * A README that changed on refresh is also diffed against the last visit (listChangesService).
+ */
+import dbService, { DB_STORES } from './dbService';
+import listChangesService from './listChangesService';
+import readmeService from './readmeService';
+
+const STORE = DB_STORES.README_CACHE.name;
+const REVALIDATE_MAX_AGE = 12 * 60 * 60 * 1000; // 12 hours
+const REVALIDATE_CONCURRENCY = 2;
+
+/**
+ * Approximate stored size of a string in bytes
+ */
+const byteSize = (text = '') => (
+  typeof Blob !== 'undefined' ? new Blob([text]).size : text.length
+);
+
+/**
+ * Cache key of a README (user/repo) or of another file in the repo (user/repo/path)
+ */
+const cacheKey = (user, repo, path) => (path ? `${user}/${repo}/${path}` : `${user}/${repo}`);
+
+class ReadmeCacheService {
+  /**
+   * Get the cached record for a key ({ repo, path, html, source, etag, fetchedAt, size }) or null
+   */
+  async get(repo) {
+    try {
+      return (await dbService.get(STORE, repo)) || null;
+    } catch (error) {
+      console.error('Error reading README cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a fetched README
+   */
+  async put(repo, { html, source, etag, path = null }) {
+    const record = {
+      repo,
+      path,
+      html,
+      source,
+      etag: etag || null,
+      fetchedAt: new Date().toISOString(),
+      size: byteSize(html),
+    };
+    try {
+      await dbService.put(STORE, record);
+      this.notifyUpdated();
+    } catch (error) {
+      console.error('Error writing README cache:', error);
+    }
+    return record;
+  }
+
+  /**
+   * Fetch a README (or the file at `path`) from the network and update the cache.
+   * Resolves to { record, changed }; unchanged content (same ETag or HTML) only refreshes
+   * the timestamp. The ETag is compared rather than sent as If-None-Match, since a custom
+   * request header would make the API call a CORS preflight; the browser's HTTP cache
+   * already makes the request conditional.
+   */
+  async refresh(user, repo, cached = null, { path = null } = {}) {
+    const fetched = path
+      ? await readmeService.fetchFile(user, repo, path)
+      : await readmeService.fetchReadme(user, repo);
+    const unchanged = cached && (
+      (fetched.etag && fetched.etag === cached.etag) || fetched.html === cached.html
+    );
+    const record = await this.put(
+      cacheKey(user, repo, path),
+      unchanged ? { ...cached, etag: fetched.etag || cached.etag } : { ...fetched, path }
+    );
+    // Recorded before resolving, so a visit that follows clears the counts again
+    if (!unchanged && !path) {
+      await listChangesService.recordRefresh(cacheKey(user, repo), fetched.html).catch(() => {});
+    }
+    return { record, changed: !unchanged };
+  }
+
+  /**
+   * Refresh the READMEs of the given repos ("user/repo") in the background, skipping those
+   * cached within maxAge. Failures are ignored. Resolves to the number of READMEs refreshed.
+   */
+  async revalidate(repos, { maxAge = REVALIDATE_MAX_AGE, concurrency = REVALIDATE_CONCURRENCY } = {}) {
+    const queue = [];
+    for (const repo of repos) {
+      const cached = await this.get(repo);
+      if (!cached || Date.now() - new Date(cached.fetchedAt).getTime() > maxAge) {
+        queue.push({ repo, cached });
+      }
+    }
+
+    let refreshed = 0;
+    const worker = async () => {
+      while (queue.length) {
+        const { repo, cached } = queue.shift();
+        const [user, name] = repo.split('/');
+        try {
+          await this.refresh(user, name, cached);
+          refreshed++;
+        } catch (error) {
+          // Offline or unavailable; the next revalidation tries again
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    return refreshed;
+  }
+
+  /**
+   * Stale-while-revalidate load. onRecord(record, { fromCache }) is called with the cached
+   * copy right away (if any) and again when the network returns different content.
+   * Resolves to { record, offline, error }, where offline means the cached copy could not
+   * be revalidated; rejects only when there is neither a cached copy nor network.
+   */
+  async load(user, repo, onRecord, { path = null } = {}) {
+    const cached = await this.get(cacheKey(user, repo, path));
+    if (cached) onRecord(cached, { fromCache: true });
+
+    try {
+      const { record, changed } = await this.refresh(user, repo, cached, { path });
+      if (!cached || changed) onRecord(record, { fromCache: false });
+      return { record, offline: false, error: null };
+    } catch (error) {
+      if (!cached) throw error;
+      return { record: cached, offline: true, error };
+    }
+  }
+
+  /**
+   * Metadata of every cached README (without the HTML), largest first
+   */
+  async list() {
+    const records = await dbService.getAll(STORE);
+    return records
+      .map(({ html, ...meta }) => meta)
+      .sort((a, b) => b.size - a.size);
+  }
+
+  /**
+   * Get cache statistics
+   */
+  async getStats() {
+    const records = await this.list();
+    return {
+      count: records.length,
+      size: records.reduce((sum, record) => sum + (record.size || 0), 0),
+    };
+  }
+
+  /**
+   * Evict one README
+   */
+  async evict(repo) {
+    await dbService.delete(STORE, repo);
+    this.notifyUpdated();
+  }
+
+  /**
+   * Evict every README
+   */
+  async clear() {
+    await dbService.clear(STORE);
+    this.notifyUpdated();
+  }
+
+  /**
+   * Let the app know the cache changed
+   */
+  notifyUpdated() {
+    try { window.dispatchEvent(new CustomEvent('readmeCacheUpdated')); } catch (e) {}
+  }
+}
+
+// Export singleton instance
+const readmeCacheService = new ReadmeCacheService();
+export default readmeCacheService;
+export { cacheKey };
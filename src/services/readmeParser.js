@@ -0,0 +1,280 @@
+/**
+ * Readme Parser - Turns an awesome-list README into structured entry records
+ *
+ * A record looks like:
+ *   {
+ *     name: 'Django',
+ *     url: 'https://www.djangoproject.com/',
+ *     description: 'The web framework for perfectionists with deadlines.',
+ *     section: 'Web Frameworks > Full Stack',   // heading path, joined
+ *     sectionPath: ['Web Frameworks', 'Full Stack'],
+ *     badges: [{ alt: 'stars', src: 'https://img.shields.io/...', href: '...' }],
+ *     depth: 0,                                 // nesting level of the bullet
+ *     parent: null,                             // name of the enclosing entry, if nested
+ *     anchor: 'full-stack',                     // id of the nearest heading (parseHtml only)
+ *   }
+ *
+ * parseMarkdown works on raw markdown (`-`, `*`, `+` and numbered bullets, nested by
+ * indentation) and needs no DOM; parseHtml works on the rendered README (ul/ol/li).
+ * Bullets without a leading link (e.g. "- Frameworks" above a sub-list) are not entries;
+ * their text becomes part of the section path of the entries nested under them.
+ */
+
+const SECTION_SEPARATOR = ' > ';
+const TAB_WIDTH = 4;
+
+// [![alt](src)](href) and ![alt](src)
+const LINKED_IMAGE_RE = /\[!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+const IMAGE_RE = /!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+// A leading [name](url), optionally wrapped in ** or __
+const LEADING_LINK_RE = /^(\*\*|__)?\[((?:[^[\]]|\[[^\]]*\])+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)\1?/;
+const BULLET_RE = /^([ \t]*)(?:[-*+]|\d+[.)])\s+(.*)$/;
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_RE = /^\s*(```|~~~)/;
+const SEPARATOR_RE = /^[\s\-–—:|]+/;
+
+/**
+ * Strip inline markdown (links, emphasis, code) down to plain text
+ */
+export const stripInlineMarkdown = (text = '') => text
+  .replace(IMAGE_RE, '')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/(\*\*|__)(.*?)\1/g, '$2')
+  .replace(/(^|[^\w*])[*_]([^*_]+)[*_](?=[^\w*]|$)/g, '$1$2')
+  .replace(/`([^`]*)`/g, '$1')
+  .replace(/<[^>]+>/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Whether a URL points somewhere outside the README (not a TOC anchor)
+ */
+const isEntryUrl = (url) => !!url && !url.startsWith('#');
+
+/**
+ * Pull badges (images, optionally linked) out of a line of markdown
+ */
+const extractMarkdownBadges = (text) => {
+  const badges = [];
+  let rest = text.replace(LINKED_IMAGE_RE, (match, alt, src, href) => {
+    badges.push({ alt, src, href });
+    return ' ';
+  });
+  rest = rest.replace(IMAGE_RE, (match, alt, src) => {
+    badges.push({ alt, src, href: null });
+    return ' ';
+  });
+  return { badges, rest: rest.replace(/\s+/g, ' ').trim() };
+};
+
+/**
+ * Parse the text of one bullet into { name, url, description, badges } (name is null
+ * when the bullet doesn't start with a link)
+ */
+const parseMarkdownItem = (text) => {
+  const { badges, rest } = extractMarkdownBadges(text);
+  const link = rest.match(LEADING_LINK_RE);
+  if (!link) {
+    // Only plain-text bullets label a group; a bullet with a link inside prose is neither
+    const label = /\[[^\]]*\]\([^)]*\)/.test(rest) ? null : stripInlineMarkdown(rest);
+    return { name: null, url: null, label, badges };
+  }
+  const [matched, , name, url] = link;
+  return {
+    name: stripInlineMarkdown(name),
+    url,
+    description: stripInlineMarkdown(rest.slice(matched.length).replace(SEPARATOR_RE, '')),
+    badges,
+  };
+};
+
+/**
+ * Parse raw README markdown into entry records
+ */
+export const parseMarkdown = (markdown = '') => {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const records = [];
+  const headings = []; // { level, title }
+  let items = []; // open bullets: { indent, record, label }
+  let inFence = false;
+
+  const sectionPath = () => [
+    ...headings.map(h => h.title),
+    ...items.filter(item => item.label).map(item => item.label),
+  ];
+
+  const pushHeading = (level, title) => {
+    while (headings.length && headings[headings.length - 1].level >= level) headings.pop();
+    const text = stripInlineMarkdown(title);
+    if (text) headings.push({ level, title: text });
+    items = [];
+  };
+
+  lines.forEach((line, idx) => {
+    if (FENCE_RE.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      pushHeading(heading[1].length, heading[2]);
+      return;
+    }
+
+    // Setext headings: a line underlined with === or ---
+    const next = lines[idx + 1];
+    if (next !== undefined && line.trim() && !BULLET_RE.test(line) && /^\s*(=+|-+)\s*$/.test(next)) {
+      pushHeading(next.trim()[0] === '=' ? 1 : 2, line);
+      return;
+    }
+    if (/^\s*(=+|-+)\s*$/.test(line) && idx > 0 && lines[idx - 1].trim()) return;
+
+    const bullet = line.match(BULLET_RE);
+    if (bullet) {
+      const indent = bullet[1].replace(/\t/g, ' '.repeat(TAB_WIDTH)).length;
+      while (items.length && items[items.length - 1].indent >= indent) items.pop();
+
+      const parsed = parseMarkdownItem(bullet[2]);
+      const parentItem = [...items].reverse().find(item => item.record);
+      const item = { indent, record: null, label: null };
+
+      if (parsed.name && isEntryUrl(parsed.url)) {
+        const path = sectionPath();
+        item.record = {
+          name: parsed.name,
+          url: parsed.url,
+          description: parsed.description,
+          section: path.join(SECTION_SEPARATOR),
+          sectionPath: path,
+          badges: parsed.badges,
+          depth: items.length,
+          parent: parentItem ? parentItem.record.name : null,
+          anchor: null,
+        };
+        records.push(item.record);
+      } else if (!parsed.name && parsed.label) {
+        item.label = parsed.label;
+      }
+      items.push(item);
+      return;
+    }
+
+    if (!line.trim()) return;
+
+    // Indented continuation of the last bullet extends its description
+    const last = items[items.length - 1];
+    const indent = line.match(/^[ \t]*/)[0].replace(/\t/g, ' '.repeat(TAB_WIDTH)).length;
+    if (last && indent > last.indent) {
+      if (last.record) {
+        const { badges, rest } = extractMarkdownBadges(line.trim());
+        last.record.badges.push(...badges);
+        last.record.description = `${last.record.description} ${stripInlineMarkdown(rest)}`.trim();
+      }
+      return;
+    }
+
+    // Any other paragraph ends the current list
+    items = [];
+  });
+
+  return records;
+};
+
+/**
+ * Copy of a list item without its nested lists
+ */
+const ownContent = (li) => {
+  const clone = li.cloneNode(true);
+  clone.querySelectorAll('ul, ol').forEach(list => list.remove());
+  return clone;
+};
+
+/**
+ * Parse rendered README HTML into entry records
+ */
+export const parseHtml = (html = '') => {
+  if (!html || typeof DOMParser === 'undefined') return [];
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const headings = [];
+  const records = [];
+  let anchor = null; // id of the last heading seen
+  const itemRecords = new Map(); // li -> record
+  const itemLabels = new Map(); // li -> label of a link-less bullet
+
+  doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6, li').forEach((node) => {
+    if (/^H[1-6]$/.test(node.tagName)) {
+      const level = parseInt(node.tagName.substring(1), 10);
+      while (headings.length && headings[headings.length - 1].level >= level) headings.pop();
+      const title = node.textContent.trim();
+      if (title) headings.push({ level, title });
+      const anchorEl = node.id ? node : node.querySelector('[id]');
+      anchor = anchorEl ? anchorEl.id : null;
+      return;
+    }
+
+    // Enclosing list items, outermost first
+    const ancestors = [];
+    for (let el = node.parentElement; el; el = el.parentElement) {
+      if (el.tagName === 'LI') ancestors.unshift(el);
+    }
+
+    const own = ownContent(node);
+    const badges = Array.from(own.querySelectorAll('img')).map((img) => {
+      const link = img.closest('a');
+      return {
+        alt: img.getAttribute('alt') || '',
+        src: img.getAttribute('src') || '',
+        href: link ? link.getAttribute('href') : null,
+      };
+    });
+    own.querySelectorAll('img').forEach((img) => {
+      const link = img.closest('a');
+      // Drop image-only links entirely so they don't count as the entry link
+      if (link && !link.textContent.trim()) link.remove(); else img.remove();
+    });
+
+    const text = own.textContent.replace(/\s+/g, ' ').trim();
+    const link = own.querySelector('a[href]');
+    const name = link ? link.textContent.replace(/\s+/g, ' ').trim() : '';
+    // Links the viewer routed inside the app keep their published URL in data-original-href
+    const url = link ? link.getAttribute('data-original-href') || link.getAttribute('href') : null;
+
+    // The link must lead the item, otherwise it's a link inside prose
+    if (!name || !isEntryUrl(url) || !text.startsWith(name)) {
+      if (!link && text) itemLabels.set(node, text);
+      return;
+    }
+
+    const path = [
+      ...headings.map(h => h.title),
+      ...ancestors.filter(li => itemLabels.has(li)).map(li => itemLabels.get(li)),
+    ];
+    const parentLi = [...ancestors].reverse().find(li => itemRecords.has(li));
+    const record = {
+      name,
+      url,
+      description: text.slice(name.length).replace(SEPARATOR_RE, '').trim(),
+      section: path.join(SECTION_SEPARATOR),
+      sectionPath: path,
+      badges,
+      depth: ancestors.length,
+      parent: parentLi ? itemRecords.get(parentLi).name : null,
+      anchor,
+    };
+    itemRecords.set(node, record);
+    records.push(record);
+  });
+
+  return records;
+};
+
+/**
+ * Parse a README in either format; markdown is detected by the absence of HTML list tags
+ */
+export const parseReadme = (content = '', format) => {
+  const type = format || (/<(ul|ol|li)[\s>]/i.test(content) ? 'html' : 'markdown');
+  return type === 'html' ? parseHtml(content) : parseMarkdown(content);
+};
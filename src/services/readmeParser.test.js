@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import { parseHtml, parseMarkdown, parseReadme, stripInlineMarkdown } from './readmeParser';
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+const byName = (records, name) => records.find(record => record.name === name);
+
+describe('stripInlineMarkdown', () => {
+  it('reduces links, emphasis, code, images and tags to text', () => {
+    expect(stripInlineMarkdown('**Bold** _em_ `code` [link](https://a.dev) ![img](x.png) <b>tag</b>'))
+      .toBe('Bold em code link tag');
+  });
+});
+
+describe('parseMarkdown', () => {
+  const python = parseMarkdown(fixture('awesome-python.md'));
+  const nodejs = parseMarkdown(fixture('awesome-nodejs.md'));
+  const mixed = parseMarkdown(fixture('mixed-bullets.md'));
+
+  it('reads * bullets and skips table of contents anchors', () => {
+    expect(python.map(record => record.name)).toEqual([
+      'ajenti', 'django-grappelli', 'flask-admin',
+      'Django', 'awesome-django', 'Flask', 'Tornado',
+      'Awesome Python Newsletter', "Pycoder's Weekly",
+    ]);
+  });
+
+  it('reads - bullets, + bullets and numbered bullets', () => {
+    expect(nodejs.map(record => record.name)).toEqual(['npkill', 'np', 'gtop', 'got', 'undici']);
+    expect(mixed.map(record => record.name)).toEqual(['Alpha', 'Beta', 'Gamma', 'First', 'Second', 'Tenth']);
+  });
+
+  it('builds section paths from headings and link-less group bullets', () => {
+    expect(byName(python, 'ajenti')).toMatchObject({
+      section: 'Awesome Python > Admin Panels',
+      sectionPath: ['Awesome Python', 'Admin Panels'],
+    });
+    expect(byName(python, 'Tornado').section).toBe('Awesome Python > Web Frameworks > Asynchronous');
+    // A new h1 resets the path
+    expect(byName(python, 'Awesome Python Newsletter').section).toBe('Resources > Newsletters');
+    expect(byName(nodejs, 'np').section).toBe('Packages > Command-line apps');
+    // Setext headings
+    expect(byName(mixed, 'Alpha').section).toBe('Awesome Mixed > Tools');
+    expect(byName(mixed, 'First').section).toBe('Awesome Mixed > Steps');
+  });
+
+  it('tracks nesting depth and the parent entry of nested sub-lists', () => {
+    expect(byName(python, 'Django')).toMatchObject({ depth: 1, parent: null });
+    expect(byName(python, 'awesome-django')).toMatchObject({
+      depth: 2,
+      parent: 'Django',
+      section: 'Awesome Python > Web Frameworks > Synchronous',
+    });
+    expect(byName(python, 'Flask')).toMatchObject({ depth: 1, parent: null });
+  });
+
+  it('strips description separators', () => {
+    expect(byName(python, 'ajenti').description).toBe('The admin panel your servers deserve.');
+    expect(byName(mixed, 'Alpha').description).toBe('Em dash separator.');
+    expect(byName(mixed, 'Beta').description).toBe('Colon separator.');
+    expect(byName(mixed, 'Gamma').description).toBe('Pipe separator.');
+    expect(byName(mixed, 'Tenth').description).toBe('');
+    expect(byName(python, 'awesome-django').description).toBe('');
+  });
+
+  it('strips inline markdown from names and descriptions and joins continuation lines', () => {
+    expect(byName(nodejs, 'np').description).toBe('Better npm publish.');
+    expect(byName(nodejs, 'undici').description)
+      .toBe('High performance HTTP client written from scratch with pipelining support.');
+  });
+
+  it('pulls badges out of the entry text', () => {
+    const gtop = byName(nodejs, 'gtop');
+    expect(gtop.description).toBe('System monitoring dashboard for the terminal.');
+    expect(gtop.badges).toEqual([{
+      alt: 'stars',
+      src: 'https://img.shields.io/github/stars/aksakalli/gtop',
+      href: 'https://github.com/aksakalli/gtop/stargazers',
+    }]);
+  });
+
+  it('ignores code fences, plain text bullets and links inside prose', () => {
+    expect(nodejs.some(record => record.name === 'not an entry')).toBe(false);
+    expect(mixed.some(record => record.url === 'https://prose.dev')).toBe(false);
+  });
+});
+
+describe('parseHtml', () => {
+  const records = parseHtml(fixture('awesome-python.html'));
+
+  it('reads list items with a leading link as entries', () => {
+    expect(records.map(record => record.name)).toEqual([
+      'ajenti', 'django-grappelli', 'flask-admin', 'Django', 'awesome-django', 'Flask', 'Tornado', 'Numbered',
+    ]);
+  });
+
+  it('builds section paths, nesting and heading anchors', () => {
+    expect(byName(records, 'ajenti')).toMatchObject({
+      section: 'Awesome Python > Admin Panels',
+      depth: 0,
+      anchor: null,
+    });
+    expect(byName(records, 'awesome-django')).toMatchObject({
+      section: 'Awesome Python > Web Frameworks > Synchronous',
+      depth: 2,
+      parent: 'Django',
+      anchor: 'web-frameworks',
+    });
+    expect(byName(records, 'Tornado').section).toBe('Awesome Python > Web Frameworks > Asynchronous');
+  });
+
+  it('strips description separators and keeps badges out of the description', () => {
+    expect(byName(records, 'Flask').description).toBe('A microframework for Python.');
+    expect(byName(records, 'Numbered').description).toBe('Entries in ordered lists count too.');
+    const flaskAdmin = byName(records, 'flask-admin');
+    expect(flaskAdmin.description)
+      .toBe('Simple and extensible administrative interface framework for Flask.');
+    expect(flaskAdmin.badges).toEqual([{
+      alt: 'stars',
+      src: 'https://img.shields.io/github/stars/flask-admin/flask-admin',
+      href: 'https://github.com/flask-admin/flask-admin/stargazers',
+    }]);
+  });
+
+  it('prefers the published URL of links routed inside the app', () => {
+    const html = '<ul><li><a href="#/a/b" data-original-href="https://github.com/a/b">b</a> - Routed.</li></ul>';
+    expect(parseHtml(html)[0].url).toBe('https://github.com/a/b');
+  });
+});
+
+describe('parseReadme', () => {
+  it('detects the format from the content', () => {
+    expect(parseReadme(fixture('awesome-python.html'))).toHaveLength(8);
+    expect(parseReadme(fixture('mixed-bullets.md'))).toHaveLength(6);
+  });
+});
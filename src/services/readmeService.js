@@ -0,0 +1,251 @@
+/**
+ * Readme Service - Fetches README HTML for awesome-lists
+ * Uses the awesomelists.top API and falls back to raw GitHub markdown when it is blocked.
+ * Other Markdown files of a repo are fetched rendered from the GitHub contents API.
+ */
+import axios from 'axios';
+import DOMPurify from 'dompurify';
+import githubService from './githubService';
+
+const README_API_BASE = 'https://api.awesomelists.top/readme';
+const RAW_GITHUB_BASE = 'https://raw.githubusercontent.com';
+const GITHUB_API_BASE = 'https://api.github.com';
+const FALLBACK_BRANCHES = ['master', 'main'];
+
+const escapeHtml = (str) => {
+  return (str || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+};
+
+// Simple lightweight markdown -> HTML fallback for raw README parsing
+const simpleMarkdownToHtml = (md) => {
+  if (!md) return '';
+  // Code fences
+  let html = md.replace(/```([\s\S]*?)```/g, (m, code) => {
+    return `<pre><code>${escapeHtml(code)}</code></pre>`;
+  });
+  // Headings
+  for (let i = 6; i >= 1; i--) {
+    const hashes = '#'.repeat(i);
+    const re = new RegExp(`^${hashes} (.*)$`, 'gm');
+    html = html.replace(re, `<h${i}>$1</h${i}>`);
+  }
+  // Links
+  html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+  // Inline code
+  html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
+  // Basic paragraphs / line breaks
+  html = html.split(/\n\n+/).map(p => `<p>${p.replace(/\n/g, '<br/>')}</p>`).join('');
+  return html;
+};
+
+// Absolute URLs (any scheme, including data:), protocol-relative URLs and in-page anchors are left alone
+const ABSOLUTE_URL_RE = /^([a-z][a-z0-9+.-]*:|\/\/|#)/i;
+const MARKDOWN_FILE_RE = /\.(md|markdown|mdown)$/i;
+// What may follow github.com/owner/repo in a link to a repo's front page (query and hash removed)
+const REPO_ROOT_SUFFIX_RE = /^(\/|\.git)?$|^\/(tree|blob)\/[^/]+\/?(readme\.(md|markdown))?$/i;
+
+/**
+ * Resolve a repo-relative path against the directory of the current file.
+ * Returns the normalized path from the repo root (no leading slash) plus any suffix.
+ */
+const resolveRepoPath = (target, dir) => {
+  const [, pathPart, suffix = ''] = target.match(/^([^?#]*)(.*)$/);
+  const segments = pathPart.startsWith('/') ? [] : dir.split('/').filter(Boolean);
+  pathPart.split('/').forEach((segment) => {
+    if (segment === '..') segments.pop();
+    else if (segment && segment !== '.') segments.push(segment);
+  });
+  return { path: segments.join('/'), suffix };
+};
+
+/**
+ * GitHub-style heading slug: lowercase, punctuation dropped, whitespace to hyphens
+ */
+const slugify = (text = '') => text
+  .trim()
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+  .replace(/\s/g, '-');
+
+class ReadmeService {
+  /**
+   * Fetch rendered README HTML from the awesomelists.top API, with its ETag when exposed
+   */
+  async fetchFromApi(user, repo) {
+    const res = await axios.get(`${README_API_BASE}/${user}/${repo}`);
+    return { html: res.data, etag: res.headers.etag || null };
+  }
+
+  /**
+   * Fetch raw README markdown (and its ETag) from GitHub, trying the common default branches
+   */
+  async fetchRawMarkdown(user, repo) {
+    for (let branch of FALLBACK_BRANCHES) {
+      try {
+        const rawUrl = `${RAW_GITHUB_BASE}/${user}/${repo}/${branch}/README.md`;
+        const resRaw = await axios.get(rawUrl, { responseType: 'text' });
+        if (resRaw && resRaw.data) {
+          return { markdown: resRaw.data, etag: resRaw.headers.etag || null };
+        }
+      } catch (rawErr) {
+        // continue to next branch
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fetch another Markdown file of a repo as sanitized HTML.
+   * Uses GitHub's rendered HTML and falls back to raw markdown when the API is unavailable.
+   */
+  async fetchFile(user, repo, path) {
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+    try {
+      const res = await axios.get(`${GITHUB_API_BASE}/repos/${user}/${repo}/contents/${encodedPath}`, {
+        headers: { Accept: 'application/vnd.github.v3.html' },
+      });
+      return { html: DOMPurify.sanitize(res.data), source: 'github', etag: res.headers.etag || null };
+    } catch (err) {
+      if (err?.response?.status === 404) throw err;
+
+      // HEAD resolves to the default branch on raw.githubusercontent.com
+      const resRaw = await axios.get(`${RAW_GITHUB_BASE}/${user}/${repo}/HEAD/${encodedPath}`, {
+        responseType: 'text',
+      });
+      const html = DOMPurify.sanitize(simpleMarkdownToHtml(resRaw.data));
+      return { html, source: 'raw', etag: resRaw.headers.etag || null };
+    }
+  }
+
+  /**
+   * Rewrite relative src/href values of README HTML so they work inside the app:
+   * images load from raw.githubusercontent.com, links to Markdown files of the same repo
+   * open in the viewer (#/user/repo/file/path), and other files link to GitHub.
+   * `branch` should be the repo's default branch; GitHub's HEAD ref is used when unknown.
+   * `path` is the file being shown (empty for the README at the repo root).
+   */
+  resolveRelativeUrls(html, { user, repo, branch, path = '' }) {
+    if (!html || typeof DOMParser === 'undefined') return html;
+
+    const ref = branch || 'HEAD';
+    const dir = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+    const rawBase = `${RAW_GITHUB_BASE}/${user}/${repo}/${ref}`;
+    const blobBase = `https://github.com/${user}/${repo}/blob/${ref}`;
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const sameRepoBlob = new RegExp(`^https?://github\\.com/${escape(user)}/${escape(repo)}/blob/[^/]+/([^?#]+)(.*)$`, 'i');
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    // Query and hash suffixes can't be carried through the hash router, so they are dropped
+    const viewerHref = repoPath => (
+      /^readme\.(md|markdown)$/i.test(repoPath) ? `#/${user}/${repo}` : `#/${user}/${repo}/file/${repoPath}`
+    );
+
+    doc.body.querySelectorAll('img[src]').forEach((img) => {
+      const src = img.getAttribute('src');
+      if (!src || ABSOLUTE_URL_RE.test(src)) return;
+      const { path: repoPath, suffix } = resolveRepoPath(src, dir);
+      img.setAttribute('src', `${rawBase}/${repoPath}${suffix}`);
+    });
+
+    doc.body.querySelectorAll('a[href]').forEach((link) => {
+      const href = link.getAttribute('href');
+      const blobMatch = href.match(sameRepoBlob);
+
+      if (blobMatch && MARKDOWN_FILE_RE.test(blobMatch[1])) {
+        link.setAttribute('href', viewerHref(blobMatch[1]));
+        link.removeAttribute('target');
+        return;
+      }
+      if (!href || ABSOLUTE_URL_RE.test(href)) return;
+
+      const { path: repoPath, suffix } = resolveRepoPath(href, dir);
+      if (MARKDOWN_FILE_RE.test(repoPath)) {
+        link.setAttribute('href', viewerHref(repoPath));
+        link.removeAttribute('target');
+      } else {
+        // GitHub redirects blob URLs of directories to their tree view
+        link.setAttribute('href', `${blobBase}/${repoPath}${suffix}`);
+      }
+    });
+
+    return doc.body.innerHTML;
+  }
+
+  /**
+   * Point links to the front page of other awesome lists at the viewer (#/owner/repo).
+   * isListRepo('owner/repo') decides which repos count as lists. Routed links are marked
+   * with data-list-link (the repo) and keep their GitHub URL in data-original-href.
+   */
+  routeListLinks(html, isListRepo) {
+    if (!html || typeof DOMParser === 'undefined') return html;
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.body.querySelectorAll('a[href^="http"]').forEach((link) => {
+      const href = link.getAttribute('href');
+      const repo = githubService.parseRepoUrl(href);
+      if (!repo || !isListRepo(repo)) return;
+
+      const suffix = href
+        .replace(/[?#].*$/, '')
+        .replace(/^https?:\/\/(?:www\.)?github\.com\/[^/]+\/[^/?#]+/i, '');
+      if (!REPO_ROOT_SUFFIX_RE.test(suffix)) return;
+
+      link.setAttribute('href', `#/${repo}`);
+      link.setAttribute('data-list-link', repo);
+      link.setAttribute('data-original-href', href);
+      link.removeAttribute('target');
+    });
+
+    return doc.body.innerHTML;
+  }
+
+  /**
+   * Give headings without an id (e.g. from the raw markdown fallback) a unique slug id,
+   * so every section can be linked to
+   */
+  addHeadingIds(html) {
+    if (!html || typeof DOMParser === 'undefined') return html;
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const used = new Set(Array.from(doc.body.querySelectorAll('[id]'), el => el.id.replace(/^user-content-/, '')));
+    doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((heading) => {
+      if (heading.id || heading.querySelector('[id]')) return;
+      const base = slugify(heading.textContent) || 'section';
+      let id = base;
+      for (let n = 1; used.has(id); n++) id = `${base}-${n}`;
+      used.add(id);
+      heading.id = id;
+    });
+
+    return doc.body.innerHTML;
+  }
+
+  /**
+   * Fetch README HTML, falling back to sanitized raw markdown when the API is unreachable.
+   * Resolves to { html, source: 'api' | 'raw', etag }.
+   * HTTP errors from the API are rethrown untouched so callers can inspect the status.
+   */
+  async fetchReadme(user, repo) {
+    try {
+      const { html, etag } = await this.fetchFromApi(user, repo);
+      return { html, source: 'api', etag };
+    } catch (err) {
+      // Only fall back when there is no response at all (CORS or blocked request)
+      if (err?.response?.status) throw err;
+
+      const raw = await this.fetchRawMarkdown(user, repo);
+      if (raw === null) throw err;
+
+      const html = DOMPurify.sanitize(simpleMarkdownToHtml(raw.markdown));
+      return { html, source: 'raw', etag: raw.etag };
+    }
+  }
+}
+
+// Export singleton instance
+const readmeService = new ReadmeService();
+export default readmeService;
+export { simpleMarkdownToHtml, escapeHtml, slugify };
@@ -0,0 +1,122 @@
+/**
+ * Repo Stats Service - Locally cached GitHub stars, last push and archived status per list
+ * Used to blend popularity and freshness into search ranking
+ */
+import githubService from './githubService';
+import storageService from './storageService';
+
+const STATS_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+const RATE_LIMIT_BACKOFF = 15 * 60 * 1000; // 15 minutes
+const MAX_FETCH_CONCURRENCY = 2;
+
+class RepoStatsService {
+  constructor() {
+    this.inFlight = new Set();
+    this.failed = new Set(); // repos that errored this session (renamed, deleted, ...)
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Get all cached stats, keyed by repo
+   */
+  getAll() {
+    return storageService.getRepoStats();
+  }
+
+  /**
+   * Stats for one repo, falling back to the info the README viewer keeps in `repoInfo`
+   */
+  getForRepo(repo) {
+    const stats = this.getAll()[repo];
+    if (stats) return stats;
+    try {
+      const info = (JSON.parse(localStorage.getItem('repoInfo')) || {})[repo];
+      return info ? { stars: info.stars, pushedAt: info.updateAt, archived: false } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store stats for a repo (from any GitHub response we already have)
+   */
+  save(repo, { stars, pushedAt, archived }) {
+    storageService.saveRepoStats({
+      [repo]: {
+        stars: stars || 0,
+        pushedAt: pushedAt || null,
+        archived: !!archived,
+        fetchedAt: new Date().toISOString(),
+      },
+    });
+    this.notifyUpdated();
+  }
+
+  /**
+   * Check whether cached stats are missing or expired
+   */
+  isStale(stats) {
+    return !stats || Date.now() - new Date(stats.fetchedAt).getTime() > STATS_MAX_AGE;
+  }
+
+  /**
+   * Fetch stats for repos that have none (or expired ones), at most `max` per call.
+   * Unauthenticated GitHub requests are limited, so fetching pauses after a 403.
+   */
+  async fetchMissing(repos = [], { max = 10 } = {}) {
+    if (Date.now() < this.pausedUntil) return 0;
+
+    const cached = this.getAll();
+    const queue = repos
+      .filter(repo => repo && !this.inFlight.has(repo) && !this.failed.has(repo))
+      .filter(repo => this.isStale(cached[repo]))
+      .slice(0, max);
+    if (queue.length === 0) return 0;
+
+    const fetched = {};
+    const worker = async () => {
+      while (queue.length && Date.now() >= this.pausedUntil) {
+        const repo = queue.shift();
+        const [owner, name] = repo.split('/');
+        this.inFlight.add(repo);
+        try {
+          const details = await githubService.getRepoDetails(owner, name);
+          fetched[repo] = {
+            stars: details.stars || 0,
+            pushedAt: details.pushedAt || null,
+            archived: !!details.archived,
+            fetchedAt: new Date().toISOString(),
+          };
+        } catch (error) {
+          if (error.response && error.response.status === 403) {
+            this.pausedUntil = Date.now() + RATE_LIMIT_BACKOFF;
+          } else {
+            this.failed.add(repo);
+          }
+        } finally {
+          this.inFlight.delete(repo);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: MAX_FETCH_CONCURRENCY }, worker));
+
+    const count = Object.keys(fetched).length;
+    if (count > 0) {
+      storageService.saveRepoStats(fetched);
+      this.notifyUpdated();
+    }
+    return count;
+  }
+
+  /**
+   * Let the app know cached stats changed
+   */
+  notifyUpdated() {
+    try { window.dispatchEvent(new CustomEvent('repoStatsUpdated')); } catch (e) {}
+  }
+}
+
+// Export singleton instance
+const repoStatsService = new RepoStatsService();
+export default repoStatsService;
@@ -0,0 +1,329 @@
+/**
+ * Search Engine - Fuse.js indexes for list metadata and README entries
+ * Runs inside the search worker (or in-process as a fallback); indexes are built once
+ * and updated incrementally as lists and README records change.
+ */
+import Fuse from 'fuse.js';
+import {
+  parseQuery,
+  expandSynonyms,
+  isFuzzyClause,
+  testClause,
+  findClauseMatches,
+} from './queryParser';
+
+const LIST_FUSE_OPTIONS = {
+  keys: ['name', 'repo', 'description', 'cate'],
+  threshold: 0.4,
+  includeScore: true,
+  includeMatches: true,
+  ignoreLocation: true,
+};
+
+const CONTENT_FUSE_OPTIONS = {
+  keys: [
+    { name: 'name', weight: 3 },
+    { name: 'description', weight: 1 },
+    { name: 'section', weight: 0.5 },
+  ],
+  threshold: 0.3,
+  includeScore: true,
+  includeMatches: true,
+  ignoreLocation: true,
+};
+
+// Past this share of changed lists a full rebuild is cheaper than patching the index
+const REBUILD_RATIO = 0.5;
+
+const RANKING_MODES = ['relevance', 'stars', 'updated'];
+
+// Share of the blended relevance score taken by GitHub popularity and freshness
+const POPULARITY_WEIGHT = 0.2;
+const FRESHNESS_WEIGHT = 0.1;
+const ARCHIVED_PENALTY = 0.15;
+const STARS_CEILING_LOG = 5; // 100k stars counts as fully popular
+const FRESHNESS_HALF_LIFE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Lists without cached stats are neither promoted nor buried
+const NEUTRAL_SIGNAL = 0.5;
+
+/**
+ * Drop single-character fuzzy hits for longer terms; they are noise when highlighted
+ */
+const cleanFuzzyMatches = (matches = [], term) => {
+  if (term.length < 2) return matches;
+  return matches
+    .map(match => ({ ...match, indices: match.indices.filter(([start, end]) => end > start) }))
+    .filter(match => match.indices.length > 0);
+};
+
+/**
+ * Merge matches from several clauses so each field appears once
+ */
+const mergeMatches = (matches) => {
+  const byKey = new Map();
+  matches.forEach((match) => {
+    const existing = byKey.get(match.key);
+    if (existing) {
+      existing.indices = existing.indices.concat(match.indices);
+    } else {
+      byKey.set(match.key, { key: match.key, value: match.value, indices: [...match.indices] });
+    }
+  });
+  return Array.from(byKey.values());
+};
+
+/**
+ * Popularity in [0, 1] from the star count, on a log scale
+ */
+const popularityOf = (stats) => {
+  if (!stats) return NEUTRAL_SIGNAL;
+  return Math.min(1, Math.log10((stats.stars || 0) + 1) / STARS_CEILING_LOG);
+};
+
+/**
+ * Freshness in [0, 1] from the last push, halving every FRESHNESS_HALF_LIFE_DAYS
+ */
+const freshnessOf = (stats, now) => {
+  if (!stats || !stats.pushedAt) return NEUTRAL_SIGNAL;
+  const days = Math.max(0, now - new Date(stats.pushedAt).getTime()) / DAY_MS;
+  return Math.pow(0.5, days / FRESHNESS_HALF_LIFE_DAYS);
+};
+
+/**
+ * Blend a Fuse score (0 is best) with popularity and freshness; archived lists sink
+ */
+const blendScore = (score, stats, now) => {
+  const relevanceWeight = 1 - POPULARITY_WEIGHT - FRESHNESS_WEIGHT;
+  return score * relevanceWeight
+    + (1 - popularityOf(stats)) * POPULARITY_WEIGHT
+    + (1 - freshnessOf(stats, now)) * FRESHNESS_WEIGHT
+    + (stats && stats.archived ? ARCHIVED_PENALTY : 0);
+};
+
+/**
+ * Comparator for a ranking mode; stars and updated fall back to the blended score on ties
+ */
+const compareResults = (ranking) => {
+  const byScore = (a, b) => a.score - b.score;
+  if (ranking === 'stars') {
+    const stars = r => (r.stats ? r.stats.stars || 0 : -1);
+    return (a, b) => stars(b) - stars(a) || byScore(a, b);
+  }
+  if (ranking === 'updated') {
+    const pushed = r => (r.stats && r.stats.pushedAt ? new Date(r.stats.pushedAt).getTime() : 0);
+    return (a, b) => pushed(b) - pushed(a) || byScore(a, b);
+  }
+  return byScore;
+};
+
+const isSameList = (a, b) => (
+  a.name === b.name && a.description === b.description && a.cate === b.cate
+);
+
+class SearchEngine {
+  constructor() {
+    this.lists = new Map(); // repo -> list
+    this.listFuse = new Fuse([], LIST_FUSE_OPTIONS);
+    this.contentRepos = new Set();
+    this.contentFuse = new Fuse([], CONTENT_FUSE_OPTIONS);
+    this.stats = {}; // repo -> { stars, pushedAt, archived }
+  }
+
+  /**
+   * Replace the cached GitHub stats used for ranking
+   */
+  setStats(stats = {}) {
+    this.stats = stats;
+  }
+
+  /**
+   * Replace the searchable lists, patching the existing index where possible
+   */
+  setLists(lists = []) {
+    const next = new Map(lists.filter(l => l.repo).map(l => [l.repo, l]));
+    const removed = new Set();
+    const added = [];
+
+    this.lists.forEach((list, repo) => {
+      const update = next.get(repo);
+      if (!update || !isSameList(list, update)) removed.add(repo);
+    });
+    next.forEach((list, repo) => {
+      const current = this.lists.get(repo);
+      if (current && isSameList(current, list)) {
+        // Keep the indexed object so Fuse results can be matched by identity
+        next.set(repo, current);
+      } else {
+        added.push(list);
+      }
+    });
+
+    this.lists = next;
+    if (removed.size + added.length > this.lists.size * REBUILD_RATIO) {
+      this.listFuse = new Fuse(Array.from(next.values()), LIST_FUSE_OPTIONS);
+      return;
+    }
+    if (removed.size) this.listFuse.remove(doc => removed.has(doc.repo));
+    added.forEach(list => this.listFuse.add(list));
+  }
+
+  /**
+   * Replace all README entries with the given index records
+   */
+  setContent(records = []) {
+    const entries = [];
+    this.contentRepos = new Set();
+    records.forEach((record) => {
+      this.contentRepos.add(record.repo);
+      record.entries.forEach(entry => entries.push({ ...entry, repo: record.repo }));
+    });
+    this.contentFuse = new Fuse(entries, CONTENT_FUSE_OPTIONS);
+  }
+
+  /**
+   * Insert or replace the entries of a single README
+   */
+  upsertContent(record) {
+    if (this.contentRepos.has(record.repo)) {
+      this.contentFuse.remove(doc => doc.repo === record.repo);
+    }
+    this.contentRepos.add(record.repo);
+    record.entries.forEach(entry => this.contentFuse.add({ ...entry, repo: record.repo }));
+  }
+
+  /**
+   * Evaluate a query-language search over the lists.
+   * Returns Fuse-style results ({ item, score, matches, stats }) ordered by the ranking mode
+   * ('relevance' blends the match score with stars and freshness, 'stars', or 'updated'),
+   * where matches holds the highlighted ranges of every matching clause.
+   * options.synonyms (term -> expansions) ORs expansions into the matching free-text terms.
+   */
+  searchLists(query = '', options = {}) {
+    const { limit = 20, ranking = 'relevance', synonyms } = options;
+    const groups = expandSynonyms(parseQuery(query).groups, synonyms);
+    if (groups.length === 0) return [];
+
+    // Run each distinct fuzzy term once: term -> Map(item -> { score, matches })
+    const fuzzyHits = new Map();
+    groups.forEach((group) => {
+      group.filter(isFuzzyClause).forEach(({ value }) => {
+        if (fuzzyHits.has(value)) return;
+        fuzzyHits.set(value, new Map(this.listFuse.search(value).map(r => [
+          r.item,
+          { score: r.score, matches: cleanFuzzyMatches(r.matches, value) },
+        ])));
+      });
+    });
+
+    // Hit for a clause on an item, or null when it doesn't match (literal matches score 0)
+    const matchClause = (item, clause) => {
+      if (isFuzzyClause(clause)) {
+        return fuzzyHits.get(clause.value).get(item) || null;
+      }
+      if (testClause(item, clause) === clause.negate) return null;
+      return { score: 0, matches: clause.negate ? [] : findClauseMatches(item, clause) };
+    };
+
+    const now = Date.now();
+    const results = [];
+    this.lists.forEach((item) => {
+      let total = 0;
+      const matches = [];
+      for (let group of groups) {
+        const hits = group
+          .map(clause => matchClause(item, clause))
+          .filter(hit => hit !== null);
+        if (hits.length === 0) return;
+        total += Math.min(...hits.map(hit => hit.score));
+        hits.forEach(hit => matches.push(...hit.matches));
+      }
+      const stats = this.stats[item.repo] || null;
+      results.push({
+        item,
+        score: blendScore(total / groups.length, stats, now),
+        matches: mergeMatches(matches),
+        stats,
+      });
+    });
+
+    return results
+      .sort(compareResults(ranking))
+      .slice(0, limit);
+  }
+
+  /**
+   * Fuzzy search over README entries
+   */
+  searchContent(text = '', options = {}) {
+    const { limit = 20 } = options;
+    if (!text.trim()) return [];
+    return this.contentFuse.search(text, { limit }).map(r => ({
+      item: r.item,
+      score: r.score,
+      matches: cleanFuzzyMatches(r.matches, text),
+    }));
+  }
+}
+
+/**
+ * Message host for the search protocol, shared by the worker and the in-process fallback.
+ * Index updates apply immediately; searches are coalesced per channel so a query that was
+ * superseded before it ran is answered with "cancelled" instead of being evaluated.
+ */
+const createSearchHost = (engine, reply) => {
+  const queued = new Map(); // channel -> latest search message
+  let scheduled = false;
+
+  const runSearch = ({ type, id, query, options }) => {
+    try {
+      const results = type === 'searchContent'
+        ? engine.searchContent(query, options)
+        : engine.searchLists(query, options);
+      reply({ type: 'result', id, results });
+    } catch (error) {
+      reply({ type: 'error', id, message: error.message });
+    }
+  };
+
+  const drain = () => {
+    scheduled = false;
+    const messages = Array.from(queued.values());
+    queued.clear();
+    messages.forEach(runSearch);
+  };
+
+  return (message) => {
+    switch (message.type) {
+      case 'setLists':
+        engine.setLists(message.lists);
+        break;
+      case 'setContent':
+        engine.setContent(message.records);
+        break;
+      case 'upsertContent':
+        engine.upsertContent(message.record);
+        break;
+      case 'setStats':
+        engine.setStats(message.stats);
+        break;
+      case 'searchLists':
+      case 'searchContent': {
+        const channel = `${message.type}:${message.channel || 'default'}`;
+        const stale = queued.get(channel);
+        if (stale) reply({ type: 'cancelled', id: stale.id });
+        queued.set(channel, message);
+        if (!scheduled) {
+          scheduled = true;
+          setTimeout(drain, 0);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  };
+};
+
+export default SearchEngine;
+export { createSearchHost, RANKING_MODES };
@@ -0,0 +1,207 @@
+/**
+ * Search Service - Runs list and README searches in a Web Worker
+ * The worker builds its Fuse.js indexes once and receives incremental updates; queries are
+ * answered asynchronously and a newer query on the same channel cancels the older one.
+ * Falls back to an in-process engine where workers are unavailable.
+ */
+// eslint-disable-next-line import/no-webpack-loader-syntax
+import SearchWorker from 'worker-loader!../workers/search.worker.js';
+import SearchEngine, { createSearchHost, RANKING_MODES } from './searchEngine';
+import { parseQuery } from './queryParser';
+
+const RANKING_LABELS = {
+  relevance: 'Relevance',
+  stars: 'Stars',
+  updated: 'Recently updated',
+};
+
+const FIELD_LABELS = {
+  name: 'name',
+  repo: 'repo',
+  description: 'description',
+  cate: 'category',
+  section: 'section',
+};
+
+/**
+ * Error used to reject queries superseded by a newer one
+ */
+const createCancelledError = () => {
+  const error = new Error('Search cancelled by a newer query');
+  error.name = 'AbortError';
+  return error;
+};
+
+class SearchService {
+  constructor() {
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { resolve, reject, channel }
+    this.latest = new Map(); // channel -> id of the newest query
+    this.post = this.createBackend();
+  }
+
+  /**
+   * Start the worker, or an in-process host speaking the same protocol
+   */
+  createBackend() {
+    const receive = message => this.handleMessage(message);
+
+    if (typeof Worker !== 'undefined') {
+      try {
+        const worker = new SearchWorker();
+        worker.addEventListener('message', event => receive(event.data));
+        worker.addEventListener('error', (error) => {
+          console.error('Search worker error:', error);
+        });
+        return message => worker.postMessage(message);
+      } catch (error) {
+        console.warn('Search worker unavailable, searching on the main thread:', error);
+      }
+    }
+
+    const host = createSearchHost(new SearchEngine(), receive);
+    return message => host(message);
+  }
+
+  /**
+   * Settle the promise of a query answered by the backend
+   */
+  handleMessage({ type, id, results, message }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+    this.pending.delete(id);
+    if (this.latest.get(request.channel) === id) this.latest.delete(request.channel);
+
+    if (type === 'result') {
+      request.resolve(results);
+    } else if (type === 'cancelled') {
+      request.reject(createCancelledError());
+    } else {
+      request.reject(new Error(message || 'Search failed'));
+    }
+  }
+
+  /**
+   * Send a query, cancelling the previous unanswered query on the same channel
+   */
+  request(type, query, options = {}) {
+    const { channel = 'default', ...searchOptions } = options;
+    const key = `${type}:${channel}`;
+    const id = this.nextId++;
+
+    const staleId = this.latest.get(key);
+    if (staleId !== undefined && this.pending.has(staleId)) {
+      this.pending.get(staleId).reject(createCancelledError());
+      this.pending.delete(staleId);
+    }
+    this.latest.set(key, id);
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, channel: key });
+      this.post({ type, id, query, channel, options: searchOptions });
+    });
+  }
+
+  /**
+   * Whether an error only means the query was superseded
+   */
+  isCancelled(error) {
+    return !!error && error.name === 'AbortError';
+  }
+
+  /**
+   * Update the searchable lists; the worker patches its index incrementally
+   */
+  setLists(lists = []) {
+    this.post({ type: 'setLists', lists });
+  }
+
+  /**
+   * Replace all indexed README records
+   */
+  setContent(records = []) {
+    this.post({ type: 'setContent', records });
+  }
+
+  /**
+   * Insert or replace one indexed README record
+   */
+  upsertContent(record) {
+    this.post({ type: 'upsertContent', record });
+  }
+
+  /**
+   * Update the GitHub stats (stars, last push, archived) used to rank lists
+   */
+  setStats(stats = {}) {
+    this.post({ type: 'setStats', stats });
+  }
+
+  /**
+   * Search lists with the query language from queryParser.
+   * Resolves to results ({ item, score, matches, stats }) ordered by options.ranking.
+   */
+  searchLists(query = '', options = {}) {
+    return this.request('searchLists', query, options);
+  }
+
+  /**
+   * Fuzzy search over indexed README entries
+   */
+  searchContent(text = '', options = {}) {
+    return this.request('searchContent', text, options);
+  }
+
+  /**
+   * Available ranking modes as { value, label }
+   */
+  getRankingModes() {
+    return RANKING_MODES.map(value => ({ value, label: RANKING_LABELS[value] }));
+  }
+
+  /**
+   * Normalize a ranking mode, falling back to relevance
+   */
+  normalizeRanking(ranking) {
+    return RANKING_MODES.includes(ranking) ? ranking : 'relevance';
+  }
+
+  /**
+   * Readable labels of the fields a result matched in, e.g. ['description', 'category']
+   */
+  getMatchedFields(matches = []) {
+    return matches.map(match => FIELD_LABELS[match.key] || match.key);
+  }
+
+  /**
+   * Highlight ranges for one field of a result
+   */
+  getMatchIndices(matches = [], key) {
+    const match = matches.find(m => m.key === key);
+    return match ? match.indices : [];
+  }
+
+  /**
+   * Router path of the shareable results page for the given params, dropping empty values.
+   * The sort is always written so a shared link ranks the same for everyone.
+   */
+  buildResultsPath({ q = '', cate = '', sort = '', page = 1 } = {}) {
+    const params = new URLSearchParams();
+    if (q) params.set('q', q);
+    if (cate) params.set('cate', cate);
+    params.set('sort', this.normalizeRanking(sort));
+    if (page > 1) params.set('page', String(page));
+    return `/-/search?${params}`;
+  }
+
+  /**
+   * Free-text part of a query (used for searches that don't understand fields)
+   */
+  getFreeText(query = '') {
+    return parseQuery(query).text;
+  }
+}
+
+// Export singleton instance
+const searchService = new SearchService();
+export default searchService;
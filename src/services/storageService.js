@@ -4,15 +4,46 @@
  */
 
 const STORAGE_VERSION = '1.0.0';
+const MAX_SEARCH_HISTORY = 20;
 const STORAGE_KEYS = {
   COLLECTIONS: 'awesome_collections',
   PREFERENCES: 'awesome_preferences',
   LIST_CONFIG: 'awesome_list_config',
   AI_SETTINGS: 'awesome_ai_settings',
   CUSTOM_LISTS: 'awesome_custom_lists',
+  REPO_STATS: 'awesome_repo_stats',
+  SYNONYMS: 'awesome_synonyms',
+  LIST_CHANGES: 'awesome_list_changes',
+  READING_PROGRESS: 'awesome_reading_progress',
+  ANNOTATIONS: 'awesome_annotations',
   VERSION: 'awesome_storage_version',
 };
 
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * An imported annotation in the shape the app saves, or null when it isn't one;
+ * files edited by hand or written by older versions may miss fields
+ */
+const normalizeAnnotation = (url, annotation) => {
+  if (!isObject(annotation)) return null;
+  const text = value => (typeof value === 'string' ? value : '');
+  const highlights = Array.isArray(annotation.highlights)
+    ? annotation.highlights.filter(highlight => typeof highlight === 'string' && highlight.trim())
+    : [];
+  const note = text(annotation.note);
+  if (!note.trim() && highlights.length === 0) return null;
+
+  return {
+    name: text(annotation.name) || url,
+    section: text(annotation.section),
+    anchor: text(annotation.anchor) || null,
+    note,
+    highlights,
+    updatedAt: text(annotation.updatedAt),
+  };
+};
+
 class StorageService {
   constructor() {
     this.checkVersion();
@@ -155,6 +186,8 @@ class StorageService {
       showAIRecommendations: true,
       autoSaveEnabled: true,
       searchHistory: [],
+      savedSearches: [],
+      searchRanking: 'relevance',
     });
   }
 
@@ -174,6 +207,71 @@ class StorageService {
     return this.savePreferences(preferences);
   }
 
+  // ========== SEARCH HISTORY ==========
+
+  /**
+   * Get recent searches, most recent first
+   */
+  getSearchHistory() {
+    return this.getPreferences().searchHistory || [];
+  }
+
+  /**
+   * Record a search query (deduplicated case-insensitively, capped)
+   */
+  addToSearchHistory(query) {
+    const trimmed = (query || '').trim();
+    if (!trimmed) return false;
+    const history = this.getSearchHistory()
+      .filter(h => h.query.toLowerCase() !== trimmed.toLowerCase());
+    history.unshift({ query: trimmed, searchedAt: new Date().toISOString() });
+    return this.updatePreference('searchHistory', history.slice(0, MAX_SEARCH_HISTORY));
+  }
+
+  /**
+   * Remove a single query from the search history
+   */
+  removeFromSearchHistory(query) {
+    const history = this.getSearchHistory().filter(h => h.query !== query);
+    return this.updatePreference('searchHistory', history);
+  }
+
+  /**
+   * Clear the search history (saved searches are kept)
+   */
+  clearSearchHistory() {
+    return this.updatePreference('searchHistory', []);
+  }
+
+  /**
+   * Get named, pinned searches
+   */
+  getSavedSearches() {
+    return this.getPreferences().savedSearches || [];
+  }
+
+  /**
+   * Save a search; saving the same query again renames it
+   */
+  addSavedSearch(savedSearch) {
+    const searches = this.getSavedSearches();
+    const index = searches.findIndex(s => s.query === savedSearch.query);
+    if (index !== -1) {
+      searches[index] = { ...searches[index], name: savedSearch.name };
+    } else {
+      searches.push(savedSearch);
+    }
+    return this.updatePreference('savedSearches', searches);
+  }
+
+  /**
+   * Remove a saved search
+   */
+  removeSavedSearch(id) {
+    const searches = this.getSavedSearches().filter(s => s.id !== id);
+    return this.updatePreference('savedSearches', searches);
+  }
+
   // ========== LIST CONFIGURATION ==========
 
   /**
@@ -252,6 +350,126 @@ class StorageService {
     return this.saveCustomLists(filtered);
   }
 
+  // ========== REPO STATS ==========
+
+  /**
+   * Get cached GitHub stats for lists, keyed by repo
+   */
+  getRepoStats() {
+    return this.getItem(STORAGE_KEYS.REPO_STATS, {});
+  }
+
+  /**
+   * Merge GitHub stats for one or more repos into the cache
+   */
+  saveRepoStats(statsByRepo) {
+    return this.setItem(STORAGE_KEYS.REPO_STATS, { ...this.getRepoStats(), ...statsByRepo });
+  }
+
+  // ========== LIST CHANGES ==========
+
+  /**
+   * Get changes found by background refreshes since each list was last visited, keyed by repo
+   */
+  getListChanges() {
+    return this.getItem(STORAGE_KEYS.LIST_CHANGES, {});
+  }
+
+  /**
+   * Save the pending changes map
+   */
+  saveListChanges(changesByRepo) {
+    return this.setItem(STORAGE_KEYS.LIST_CHANGES, changesByRepo);
+  }
+
+  // ========== READING PROGRESS ==========
+
+  /**
+   * Get reading progress for lists, keyed by repo
+   */
+  getReadingProgress() {
+    return this.getItem(STORAGE_KEYS.READING_PROGRESS, {});
+  }
+
+  /**
+   * Merge reading progress for one or more repos
+   */
+  saveReadingProgress(progressByRepo) {
+    return this.setItem(STORAGE_KEYS.READING_PROGRESS, { ...this.getReadingProgress(), ...progressByRepo });
+  }
+
+  /**
+   * Forget the reading progress of a list
+   */
+  removeReadingProgress(repo) {
+    const progress = this.getReadingProgress();
+    delete progress[repo];
+    return this.setItem(STORAGE_KEYS.READING_PROGRESS, progress);
+  }
+
+  // ========== ANNOTATIONS ==========
+
+  /**
+   * Get notes and highlights on README entries, keyed by repo and then by entry URL
+   */
+  getAnnotations() {
+    return this.getItem(STORAGE_KEYS.ANNOTATIONS, {});
+  }
+
+  /**
+   * Save the annotations map
+   */
+  saveAnnotations(annotationsByRepo) {
+    return this.setItem(STORAGE_KEYS.ANNOTATIONS, annotationsByRepo);
+  }
+
+  /**
+   * Merge imported annotations into the saved ones, per repo and then per entry URL;
+   * when both sides annotated the same entry the more recently updated one wins.
+   * Imported entries are normalized; anything that isn't an annotation is dropped.
+   */
+  mergeAnnotations(imported) {
+    const merged = { ...this.getAnnotations() };
+    if (!isObject(imported)) return this.saveAnnotations(merged);
+
+    Object.entries(imported).forEach(([repo, entries]) => {
+      if (!isObject(entries)) return;
+      const local = { ...(merged[repo] || {}) };
+      Object.entries(entries).forEach(([url, entry]) => {
+        const annotation = normalizeAnnotation(url, entry);
+        const current = local[url];
+        if (annotation && (!current || annotation.updatedAt >= (current.updatedAt || ''))) {
+          local[url] = annotation;
+        }
+      });
+      if (Object.keys(local).length) merged[repo] = local;
+    });
+    return this.saveAnnotations(merged);
+  }
+
+  // ========== SYNONYMS ==========
+
+  /**
+   * Get the user's synonym dictionary (null until it has been edited)
+   */
+  getSynonyms() {
+    return this.getItem(STORAGE_KEYS.SYNONYMS, null);
+  }
+
+  /**
+   * Save the synonym dictionary (term -> expansions)
+   */
+  saveSynonyms(synonyms) {
+    return this.setItem(STORAGE_KEYS.SYNONYMS, synonyms);
+  }
+
+  /**
+   * Drop the edited dictionary so the bundled one applies again
+   */
+  resetSynonyms() {
+    return this.removeItem(STORAGE_KEYS.SYNONYMS);
+  }
+
   // ========== AI SETTINGS ==========
 
   /**
@@ -288,6 +506,9 @@ class StorageService {
       listConfig: this.getListConfig(),
       customLists: this.getCustomLists(),
       aiSettings: this.getAISettings(),
+      synonyms: this.getSynonyms(),
+      readingProgress: this.getReadingProgress(),
+      annotations: this.getAnnotations(),
     };
   }
 
@@ -301,6 +522,9 @@ class StorageService {
       if (data.listConfig) this.saveListConfig(data.listConfig);
       if (data.customLists) this.saveCustomLists(data.customLists);
       if (data.aiSettings) this.saveAISettings(data.aiSettings);
+      if (data.synonyms) this.saveSynonyms(data.synonyms);
+      if (data.readingProgress) this.saveReadingProgress(data.readingProgress);
+      if (data.annotations) this.mergeAnnotations(data.annotations);
       return true;
     } catch (error) {
       console.error('Error importing data:', error);
@@ -0,0 +1,134 @@
+/**
+ * Synonym Service - Offline abbreviation and synonym expansion for search queries
+ * A bundled dictionary (k8s -> kubernetes, js -> javascript, ...) that the user can edit;
+ * expansions are OR-ed with the original term before the search engine runs.
+ */
+import storageService from './storageService';
+import { parseQuery, isFuzzyClause } from './queryParser';
+
+// term -> expansions; multi-word expansions are matched as phrases
+const DEFAULT_SYNONYMS = {
+  k8s: ['kubernetes'],
+  js: ['javascript'],
+  ts: ['typescript'],
+  py: ['python'],
+  rb: ['ruby'],
+  go: ['golang'],
+  ml: ['machine learning'],
+  dl: ['deep learning'],
+  ai: ['artificial intelligence'],
+  nlp: ['natural language processing'],
+  cv: ['computer vision'],
+  db: ['database'],
+  ui: ['user interface'],
+  ux: ['user experience'],
+  os: ['operating system'],
+  cli: ['command line'],
+  ci: ['continuous integration'],
+  sec: ['security'],
+  infosec: ['security'],
+  crypto: ['cryptography', 'cryptocurrency'],
+  vr: ['virtual reality'],
+  ar: ['augmented reality'],
+  iot: ['internet of things'],
+  gamedev: ['game development'],
+  rn: ['react native'],
+  dotnet: ['.net'],
+  cpp: ['c++'],
+  csharp: ['c#'],
+};
+
+/**
+ * Normalize a term or expansion for storage and lookup
+ */
+const normalizeTerm = (term = '') => term.trim().toLowerCase().replace(/\s+/g, ' ');
+
+class SynonymService {
+  /**
+   * Get the active dictionary: the user's edited copy or the bundled one
+   */
+  getDictionary() {
+    return storageService.getSynonyms() || DEFAULT_SYNONYMS;
+  }
+
+  /**
+   * Check whether the user changed the bundled dictionary
+   */
+  isCustomized() {
+    return storageService.getSynonyms() !== null;
+  }
+
+  /**
+   * Add or replace the expansions for a term
+   */
+  setSynonym(term, expansions = []) {
+    const key = normalizeTerm(term);
+    const values = Array.from(new Set(expansions.map(normalizeTerm)))
+      .filter(value => value && value !== key);
+    if (!key || values.length === 0) return false;
+
+    this.save({ ...this.getDictionary(), [key]: values });
+    return true;
+  }
+
+  /**
+   * Remove a term from the dictionary
+   */
+  removeSynonym(term) {
+    const { [normalizeTerm(term)]: removed, ...rest } = this.getDictionary();
+    this.save(rest);
+  }
+
+  /**
+   * Restore the bundled dictionary
+   */
+  resetToDefaults() {
+    storageService.resetSynonyms();
+    this.notifyUpdated();
+  }
+
+  save(dictionary) {
+    storageService.saveSynonyms(dictionary);
+    this.notifyUpdated();
+  }
+
+  /**
+   * Expansions that apply to the free-text terms of a query, as [{ term, expansions }].
+   * Field filters, phrases and exclusions are never expanded; `excluded` terms are skipped.
+   */
+  getExpansions(query = '', excluded = []) {
+    const dictionary = this.getDictionary();
+    const seen = new Set(excluded.map(normalizeTerm));
+    const expansions = [];
+
+    parseQuery(query).groups.forEach((group) => {
+      group.filter(clause => !clause.field && isFuzzyClause(clause)).forEach(({ value }) => {
+        const term = normalizeTerm(value);
+        if (seen.has(term) || !dictionary[term]) return;
+        seen.add(term);
+        expansions.push({ term, expansions: dictionary[term] });
+      });
+    });
+
+    return expansions;
+  }
+
+  /**
+   * Turn expansions into the `synonyms` search option (term -> expansions)
+   */
+  toSearchOption(expansions = []) {
+    return expansions.reduce((map, { term, expansions: values }) => ({ ...map, [term]: values }), {});
+  }
+
+  /**
+   * Let the app know the dictionary changed
+   */
+  notifyUpdated() {
+    try { window.dispatchEvent(new CustomEvent('synonymsUpdated')); } catch (e) {}
+  }
+}
+
+// Export singleton instance
+const synonymService = new SynonymService();
+export default synonymService;
+export { DEFAULT_SYNONYMS };
@@ -0,0 +1,11 @@
+/**
+ * Search Worker - Hosts the search indexes off the main thread
+ */
+import SearchEngine, { createSearchHost } from '../services/searchEngine';
+
+// eslint-disable-next-line no-restricted-globals
+const ctx = self;
+
+const receive = createSearchHost(new SearchEngine(), message => ctx.postMessage(message));
+
+ctx.addEventListener('message', event => receive(event.data));